@@ -0,0 +1,2077 @@
+// Generated by scripts/embed_data.py from data/manifest.json - do not edit by hand.
+// Fallback copy of the genealogy files, used when they cannot be fetched
+// (for example when index.html is opened straight from disk over file://).
+class GenealogyData {
+    static manifest = {
+        "trees": [
+            {
+                "path": "geneology.json"
+            }
+        ]
+    }
+
+    static files = {
+        "geneology.json": {
+            "id": "tani",
+            "name": "Tani",
+            "children": [
+                {
+                    "id": "nisi",
+                    "name": "Nisi",
+                    "children": [
+                        {
+                            "id": "sidum",
+                            "name": "Sidum",
+                            "children": [
+                                {
+                                    "id": "dumde",
+                                    "name": "Dumde",
+                                    "children": [
+                                        {
+                                            "id": "de",
+                                            "name": "De",
+                                            "children": [
+                                                {
+                                                    "id": "eyu",
+                                                    "name": "Eyu",
+                                                    "children": [
+                                                        {
+                                                            "id": "yubo",
+                                                            "name": "Yubo",
+                                                            "children": [
+                                                                {
+                                                                    "id": "boji",
+                                                                    "name": "Boji",
+                                                                    "children": [
+                                                                        {
+                                                                            "id": "jini",
+                                                                            "name": "Jini"
+                                                                        }
+                                                                    ]
+                                                                },
+                                                                {
+                                                                    "id": "bore",
+                                                                    "name": "Bore",
+                                                                    "children": [
+                                                                        {
+                                                                            "id": "reyu",
+                                                                            "name": "Reyu",
+                                                                            "children": [
+                                                                                {
+                                                                                    "id": "yumen",
+                                                                                    "name": "Yumen",
+                                                                                    "children": [
+                                                                                        {
+                                                                                            "id": "menpe",
+                                                                                            "name": "Menpe",
+                                                                                            "children": [
+                                                                                                {
+                                                                                                    "id": "peke",
+                                                                                                    "name": "Peke",
+                                                                                                    "children": [
+                                                                                                        {
+                                                                                                            "id": "ketu",
+                                                                                                            "name": "Ketu",
+                                                                                                            "children": [
+                                                                                                                {
+                                                                                                                    "id": "tudo",
+                                                                                                                    "name": "Tudo",
+                                                                                                                    "children": [
+                                                                                                                        {
+                                                                                                                            "id": "doyom",
+                                                                                                                            "name": "Doyom",
+                                                                                                                            "children": [
+                                                                                                                                {
+                                                                                                                                    "id": "yomba",
+                                                                                                                                    "name": "Yomba",
+                                                                                                                                    "children": [
+                                                                                                                                        {
+                                                                                                                                            "id": "bajar",
+                                                                                                                                            "name": "Bajar",
+                                                                                                                                            "children": [
+                                                                                                                                                {
+                                                                                                                                                    "id": "jargo",
+                                                                                                                                                    "name": "Jargo",
+                                                                                                                                                    "children": [
+                                                                                                                                                        {
+                                                                                                                                                            "id": "gola",
+                                                                                                                                                            "name": "Gola",
+                                                                                                                                                            "children": [
+                                                                                                                                                                {
+                                                                                                                                                                    "id": "lani",
+                                                                                                                                                                    "name": "Lani",
+                                                                                                                                                                    "children": [
+                                                                                                                                                                        {
+                                                                                                                                                                            "id": "nido",
+                                                                                                                                                                            "name": "Nido",
+                                                                                                                                                                            "children": [
+                                                                                                                                                                                {
+                                                                                                                                                                                    "id": "dokar",
+                                                                                                                                                                                    "name": "Dokar",
+                                                                                                                                                                                    "children": [
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "karji",
+                                                                                                                                                                                            "name": "Karji",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "jini-2",
+                                                                                                                                                                                                    "name": "Jini",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "niyu",
+                                                                                                                                                                                                            "name": "Niyu",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yujen",
+                                                                                                                                                                                                                    "name": "Yujen",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jento",
+                                                                                                                                                                                                                            "name": "Jento",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "tommin",
+                                                                                                                                                                                                                                    "name": "Tommin",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                },
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "tommsi",
+                                                                                                                                                                                                                                    "name": "Tommsi",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                },
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "tomkin",
+                                                                                                                                                                                                                                    "name": "Tomkin",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                },
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "tombin",
+                                                                                                                                                                                                                                    "name": "Tombin",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jenkar",
+                                                                                                                                                                                                                            "name": "Jenkar",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yure",
+                                                                                                                                                                                                                    "name": "Yure",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "retu",
+                                                                                                                                                                                                                            "name": "Retu",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "tumo",
+                                                                                                                                                                                                                                    "name": "Tumo",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yuge",
+                                                                                                                                                                                                                    "name": "Yuge",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "gemir",
+                                                                                                                                                                                                                            "name": "Gemir",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yuten",
+                                                                                                                                                                                                                    "name": "Yuten",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yui",
+                                                                                                                                                                                                                    "name": "Yui",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yunga",
+                                                                                                                                                                                                                    "name": "Yunga",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yupe",
+                                                                                                                                                                                                                    "name": "Yupe",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "nibi",
+                                                                                                                                                                                                            "name": "Nibi",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bijar",
+                                                                                                                                                                                                                    "name": "Bijar",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jarni",
+                                                                                                                                                                                                                            "name": "Jarni",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jarko",
+                                                                                                                                                                                                                            "name": "Jarko",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "kokar",
+                                                                                                                                                                                                                                    "name": "Kokar",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bimar",
+                                                                                                                                                                                                                    "name": "Bimar",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "marli",
+                                                                                                                                                                                                                            "name": "Marli",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bigom",
+                                                                                                                                                                                                                    "name": "Bigom",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "gomdam",
+                                                                                                                                                                                                                            "name": "Gomdam",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "gomjum",
+                                                                                                                                                                                                                            "name": "Gomjum",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "biluk",
+                                                                                                                                                                                                                    "name": "Biluk",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "jiyi",
+                                                                                                                                                                                                    "name": "Jiyi",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "yimik",
+                                                                                                                                                                                                            "name": "Yimik",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "mikjum",
+                                                                                                                                                                                                                    "name": "Mikjum",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumyi",
+                                                                                                                                                                                                                            "name": "Jumyi",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumyir",
+                                                                                                                                                                                                                            "name": "Jumyir",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "mikbom",
+                                                                                                                                                                                                                    "name": "Mikbom",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "bommi",
+                                                                                                                                                                                                                            "name": "Bommi",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "bompu",
+                                                                                                                                                                                                                            "name": "Bompu",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "yicha",
+                                                                                                                                                                                                            "name": "Yicha",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "chaluk",
+                                                                                                                                                                                                                    "name": "Chaluk",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "lukar",
+                                                                                                                                                                                                                            "name": "Lukar",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "lukter",
+                                                                                                                                                                                                                            "name": "Lukter",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "luksak",
+                                                                                                                                                                                                                            "name": "Luksak",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "chade",
+                                                                                                                                                                                                                    "name": "Chade",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "demo",
+                                                                                                                                                                                                                            "name": "Demo",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "deken",
+                                                                                                                                                                                                                            "name": "Deken",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "jigi",
+                                                                                                                                                                                                    "name": "Jigi",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "gimen",
+                                                                                                                                                                                                            "name": "Gimen",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "menba",
+                                                                                                                                                                                                                    "name": "Menba",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "banga",
+                                                                                                                                                                                                                            "name": "Banga",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "baki",
+                                                                                                                                                                                                                            "name": "Baki",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "mentu",
+                                                                                                                                                                                                                    "name": "Mentu",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "menpe-2",
+                                                                                                                                                                                                                    "name": "Menpe",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "pekar",
+                                                                                                                                                                                                                            "name": "Pekar",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "mennu",
+                                                                                                                                                                                                                    "name": "Mennu",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "meni",
+                                                                                                                                                                                                                    "name": "Meni",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "mendem",
+                                                                                                                                                                                                                    "name": "Mendem",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        },
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "kargu",
+                                                                                                                                                                                            "name": "Kargu",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "gukup",
+                                                                                                                                                                                                    "name": "Gukup",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kupmar",
+                                                                                                                                                                                                            "name": "Kupmar",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "marpak",
+                                                                                                                                                                                                                    "name": "Marpak",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "pakni",
+                                                                                                                                                                                                                            "name": "Pakni",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "nison",
+                                                                                                                                                                                                                                    "name": "Nison",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "paknga",
+                                                                                                                                                                                                                            "name": "Paknga",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "ngaki",
+                                                                                                                                                                                                                                    "name": "Ngaki",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "paktu",
+                                                                                                                                                                                                                            "name": "Paktu",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "tuni",
+                                                                                                                                                                                                                                    "name": "Tuni",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "marluk",
+                                                                                                                                                                                                                    "name": "Marluk",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "lukbi",
+                                                                                                                                                                                                                            "name": "Lukbi",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "bigam",
+                                                                                                                                                                                                                                    "name": "Bigam",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "lukpu",
+                                                                                                                                                                                                                            "name": "Lukpu",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "margu",
+                                                                                                                                                                                                                    "name": "Margu",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "gutum",
+                                                                                                                                                                                                                            "name": "Gutum",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "gumen",
+                                                                                                                                                                                                                            "name": "Gumen",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "marpa",
+                                                                                                                                                                                                                    "name": "Marpa",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "person",
+                                                                                                                                                                                                                            "name": "Person",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "pamir",
+                                                                                                                                                                                                                            "name": "Pamir",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "panya",
+                                                                                                                                                                                                                            "name": "Panya",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "nyarun",
+                                                                                                                                                                                                                                    "name": "Nyarun",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "marjum",
+                                                                                                                                                                                                                    "name": "Marjum",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumbo",
+                                                                                                                                                                                                                            "name": "Jumbo",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "boson",
+                                                                                                                                                                                                                                    "name": "Boson",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "marnia",
+                                                                                                                                                                                                                    "name": "Marnia",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "niamij",
+                                                                                                                                                                                                                            "name": "Niamij",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "niare",
+                                                                                                                                                                                                                            "name": "Niare",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "niater",
+                                                                                                                                                                                                                            "name": "Niater",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "marpi",
+                                                                                                                                                                                                                    "name": "Marpi",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kupji",
+                                                                                                                                                                                                            "name": "Kupji",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jige",
+                                                                                                                                                                                                                    "name": "Jige",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "gebom",
+                                                                                                                                                                                                                            "name": "Gebom",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "geyom",
+                                                                                                                                                                                                                            "name": "Geyom",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "gejom",
+                                                                                                                                                                                                                            "name": "Gejom",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "gemin",
+                                                                                                                                                                                                                            "name": "Gemin",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jila",
+                                                                                                                                                                                                                    "name": "Jila",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "gujen",
+                                                                                                                                                                                                    "name": "Gujen",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "jenpe",
+                                                                                                                                                                                                            "name": "Jenpe",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "pebom",
+                                                                                                                                                                                                                    "name": "Pebom",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "bomkar",
+                                                                                                                                                                                                                            "name": "Bomkar",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "pedul",
+                                                                                                                                                                                                                    "name": "Pedul",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "dulken",
+                                                                                                                                                                                                                            "name": "Dulken",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "dulsom",
+                                                                                                                                                                                                                            "name": "Dulsom",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "dulsen",
+                                                                                                                                                                                                                            "name": "Dulsen",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "penga",
+                                                                                                                                                                                                                    "name": "Penga",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "guchi",
+                                                                                                                                                                                                    "name": "Guchi",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "chikar",
+                                                                                                                                                                                                            "name": "Chikar",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "kargu-2",
+                                                                                                                                                                                                                    "name": "Kargu",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "karken",
+                                                                                                                                                                                                                    "name": "Karken",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "chigo",
+                                                                                                                                                                                                            "name": "Chigo",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "goto",
+                                                                                                                                                                                                                    "name": "Goto",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "gopok",
+                                                                                                                                                                                                                    "name": "Gopok",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "pokno",
+                                                                                                                                                                                                                            "name": "Pokno",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "golen",
+                                                                                                                                                                                                                    "name": "Golen",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "gopu",
+                                                                                                                                                                                                                    "name": "Gopu",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "gona",
+                                                                                                                                                                                                                    "name": "Gona",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        }
+                                                                                                                                                                                    ]
+                                                                                                                                                                                },
+                                                                                                                                                                                {
+                                                                                                                                                                                    "id": "dori",
+                                                                                                                                                                                    "name": "Dori",
+                                                                                                                                                                                    "children": []
+                                                                                                                                                                                },
+                                                                                                                                                                                {
+                                                                                                                                                                                    "id": "doni",
+                                                                                                                                                                                    "name": "Doni",
+                                                                                                                                                                                    "children": [
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "nibin",
+                                                                                                                                                                                            "name": "Nibin",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "binto",
+                                                                                                                                                                                                    "name": "Binto",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "tori",
+                                                                                                                                                                                                            "name": "Tori",
+                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "toba",
+                                                                                                                                                                                                            "name": "Toba",
+                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        }
+                                                                                                                                                                                    ]
+                                                                                                                                                                                }
+                                                                                                                                                                            ]
+                                                                                                                                                                        }
+                                                                                                                                                                    ]
+                                                                                                                                                                },
+                                                                                                                                                                {
+                                                                                                                                                                    "id": "lamar",
+                                                                                                                                                                    "name": "Lamar",
+                                                                                                                                                                    "children": [
+                                                                                                                                                                        {
+                                                                                                                                                                            "id": "marjum-2",
+                                                                                                                                                                            "name": "Marjum",
+                                                                                                                                                                            "children": [
+                                                                                                                                                                                {
+                                                                                                                                                                                    "id": "jumngu",
+                                                                                                                                                                                    "name": "Jumngu",
+                                                                                                                                                                                    "children": [
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "ngutum",
+                                                                                                                                                                                            "name": "Ngutum",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "tumki",
+                                                                                                                                                                                                    "name": "Tumki",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kiji",
+                                                                                                                                                                                                            "name": "Kiji",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jitum",
+                                                                                                                                                                                                                    "name": "Jitum",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "tumi",
+                                                                                                                                                                                                                            "name": "Tumi",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "imi",
+                                                                                                                                                                                                                                    "name": "Imi",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                },
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "iku",
+                                                                                                                                                                                                                                    "name": "Iku",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "tumbe",
+                                                                                                                                                                                                                            "name": "Tumbe",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "tumnga",
+                                                                                                                                                                                                                            "name": "Tumnga",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jijum",
+                                                                                                                                                                                                                    "name": "Jijum",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumpe",
+                                                                                                                                                                                                                            "name": "Jumpe",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumbi",
+                                                                                                                                                                                                                            "name": "Jumbi",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumken",
+                                                                                                                                                                                                                            "name": "Jumken",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kiyum",
+                                                                                                                                                                                                            "name": "Kiyum",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yummar",
+                                                                                                                                                                                                                    "name": "Yummar",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "maryi",
+                                                                                                                                                                                                                            "name": "Maryi",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "marbom",
+                                                                                                                                                                                                                            "name": "Marbom",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "marli-2",
+                                                                                                                                                                                                                            "name": "Marli",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "marjum-3",
+                                                                                                                                                                                                                            "name": "Marjum",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "jumbo-2",
+                                                                                                                                                                                                                                    "name": "Jumbo",
+                                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                                            "id": "boson-2",
+                                                                                                                                                                                                                                            "name": "Boson",
+                                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumi",
+                                                                                                                                                                                                                    "name": "Yumi",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "icha",
+                                                                                                                                                                                                                            "name": "Icha",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "iba",
+                                                                                                                                                                                                                            "name": "Iba",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumjum",
+                                                                                                                                                                                                                    "name": "Yumjum",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumge",
+                                                                                                                                                                                                                            "name": "Jumge",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumnya",
+                                                                                                                                                                                                                            "name": "Jumnya",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumpe",
+                                                                                                                                                                                                                    "name": "Yumpe",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "tumpak",
+                                                                                                                                                                                                    "name": "Tumpak",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "pakjen",
+                                                                                                                                                                                                            "name": "Pakjen",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jenkir",
+                                                                                                                                                                                                                    "name": "Jenkir",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "kirji",
+                                                                                                                                                                                                                            "name": "Kirji",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "jijip",
+                                                                                                                                                                                                                                    "name": "Jijip",
+                                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                                            "id": "jippe",
+                                                                                                                                                                                                                                            "name": "Jippe",
+                                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                                            "id": "jipbai",
+                                                                                                                                                                                                                                            "name": "Jipbai",
+                                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "kirba",
+                                                                                                                                                                                                                            "name": "Kirba",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "bape",
+                                                                                                                                                                                                                                    "name": "Bape",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                },
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "baka",
+                                                                                                                                                                                                                                    "name": "Baka",
+                                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                                            "id": "kali",
+                                                                                                                                                                                                                                            "name": "Kali",
+                                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jenyu",
+                                                                                                                                                                                                                    "name": "Jenyu",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "yujum",
+                                                                                                                                                                                                                            "name": "Yujum",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "jumli",
+                                                                                                                                                                                                                                    "name": "Jumli",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                },
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "jummo",
+                                                                                                                                                                                                                                    "name": "Jummo",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jennga",
+                                                                                                                                                                                                                    "name": "Jennga",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "paktum",
+                                                                                                                                                                                                            "name": "Paktum",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "tumka",
+                                                                                                                                                                                                                    "name": "Tumka",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "kanu",
+                                                                                                                                                                                                                            "name": "Kanu",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "kato",
+                                                                                                                                                                                                                            "name": "Kato",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "tumluk",
+                                                                                                                                                                                                                    "name": "Tumluk",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "lukme",
+                                                                                                                                                                                                                            "name": "Lukme",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "luknya",
+                                                                                                                                                                                                                            "name": "Luknya",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "pakcho",
+                                                                                                                                                                                                            "name": "Pakcho",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "choba",
+                                                                                                                                                                                                                    "name": "Choba",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "baka-2",
+                                                                                                                                                                                                                            "name": "Baka",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "kali-2",
+                                                                                                                                                                                                                                    "name": "Kali",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "chopok",
+                                                                                                                                                                                                                    "name": "Chopok",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "pokram",
+                                                                                                                                                                                                                            "name": "Pokram",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "rambo",
+                                                                                                                                                                                                                                    "name": "Rambo",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                },
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "rampu",
+                                                                                                                                                                                                                                    "name": "Rampu",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "pokto",
+                                                                                                                                                                                                                            "name": "Pokto",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "pokbi",
+                                                                                                                                                                                                                            "name": "Pokbi",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "pakyum",
+                                                                                                                                                                                                            "name": "Pakyum",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumjar",
+                                                                                                                                                                                                                    "name": "Yumjar",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jarter",
+                                                                                                                                                                                                                            "name": "Jarter",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "ternyi",
+                                                                                                                                                                                                                                    "name": "Ternyi",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                },
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "terge",
+                                                                                                                                                                                                                                    "name": "Terge",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jarbom",
+                                                                                                                                                                                                                            "name": "Jarbom",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jarka",
+                                                                                                                                                                                                                            "name": "Jarka",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jarsak",
+                                                                                                                                                                                                                            "name": "Jarsak",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumka",
+                                                                                                                                                                                                                    "name": "Yumka",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "kapak",
+                                                                                                                                                                                                                            "name": "Kapak",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumjuk",
+                                                                                                                                                                                                                    "name": "Yumjuk",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jukgam",
+                                                                                                                                                                                                                            "name": "Jukgam",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumnya",
+                                                                                                                                                                                                                    "name": "Yumnya",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "nyato",
+                                                                                                                                                                                                                            "name": "Nyato",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumbi",
+                                                                                                                                                                                                                    "name": "Yumbi",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "bido",
+                                                                                                                                                                                                                            "name": "Bido",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "binyak",
+                                                                                                                                                                                                                            "name": "Binyak",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "bge",
+                                                                                                                                                                                                                            "name": "Bge",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumi-2",
+                                                                                                                                                                                                                    "name": "Yumi",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "tumme",
+                                                                                                                                                                                                    "name": "Tumme",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "meyom",
+                                                                                                                                                                                                            "name": "Meyom",
+                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "tumgo",
+                                                                                                                                                                                                    "name": "Tumgo",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "gopi",
+                                                                                                                                                                                                            "name": "Gopi",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "pinga",
+                                                                                                                                                                                                                    "name": "Pinga",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "ngabi",
+                                                                                                                                                                                                                            "name": "Ngabi",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "bijhon",
+                                                                                                                                                                                                                                    "name": "Bijhon",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "pikar",
+                                                                                                                                                                                                                    "name": "Pikar",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "kartum",
+                                                                                                                                                                                                                            "name": "Kartum",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "karpik",
+                                                                                                                                                                                                                            "name": "Karpik",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "godu",
+                                                                                                                                                                                                            "name": "Godu",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "dubom",
+                                                                                                                                                                                                                    "name": "Dubom",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "bombai",
+                                                                                                                                                                                                                            "name": "Bombai",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "bomjon",
+                                                                                                                                                                                                                            "name": "Bomjon",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "duli",
+                                                                                                                                                                                                                    "name": "Duli",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "lisa",
+                                                                                                                                                                                                                            "name": "Lisa",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "lijum",
+                                                                                                                                                                                                                            "name": "Lijum",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        },
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "nguchi",
+                                                                                                                                                                                            "name": "Nguchi",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "chijuk",
+                                                                                                                                                                                                    "name": "Chijuk",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "jukbi",
+                                                                                                                                                                                                            "name": "Jukbi",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bichi",
+                                                                                                                                                                                                                    "name": "Bichi",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "chibom",
+                                                                                                                                                                                                                            "name": "Chibom",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "chimo",
+                                                                                                                                                                                                                            "name": "Chimo",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "moge",
+                                                                                                                                                                                                                                    "name": "Moge",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bikar",
+                                                                                                                                                                                                                    "name": "Bikar",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "karno",
+                                                                                                                                                                                                                            "name": "Karno",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "karmesh",
+                                                                                                                                                                                                                            "name": "Karmesh",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "chipek",
+                                                                                                                                                                                                    "name": "Chipek",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "pekjum",
+                                                                                                                                                                                                            "name": "Pekjum",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jumrik",
+                                                                                                                                                                                                                    "name": "Jumrik",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "rikson",
+                                                                                                                                                                                                                            "name": "Rikson",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jumesh",
+                                                                                                                                                                                                                    "name": "Jumesh",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jumter",
+                                                                                                                                                                                                                    "name": "Jumter",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "pekko",
+                                                                                                                                                                                                            "name": "Pekko",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "koyor",
+                                                                                                                                                                                                                    "name": "Koyor",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "kobi",
+                                                                                                                                                                                                                    "name": "Kobi",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "kono",
+                                                                                                                                                                                                                    "name": "Kono",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        }
+                                                                                                                                                                                    ]
+                                                                                                                                                                                },
+                                                                                                                                                                                {
+                                                                                                                                                                                    "id": "jumkir",
+                                                                                                                                                                                    "name": "Jumkir",
+                                                                                                                                                                                    "children": [
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "kiryi",
+                                                                                                                                                                                            "name": "Kiryi",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "yimi",
+                                                                                                                                                                                                    "name": "Yimi",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "mito",
+                                                                                                                                                                                                            "name": "Mito",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "toba-2",
+                                                                                                                                                                                                                    "name": "Toba",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "tojen",
+                                                                                                                                                                                                                    "name": "Tojen",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jento-2",
+                                                                                                                                                                                                                            "name": "Jento",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jenbi",
+                                                                                                                                                                                                                            "name": "Jenbi",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "tochi",
+                                                                                                                                                                                                                    "name": "Tochi",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "chito",
+                                                                                                                                                                                                                            "name": "Chito",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "chingam",
+                                                                                                                                                                                                                            "name": "Chingam",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "toyi",
+                                                                                                                                                                                                                    "name": "Toyi",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "yirak",
+                                                                                                                                                                                                    "name": "Yirak",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "rakjum",
+                                                                                                                                                                                                            "name": "Rakjum",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jumkir-2",
+                                                                                                                                                                                                                    "name": "Jumkir",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "rakyum",
+                                                                                                                                                                                                            "name": "Rakyum",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumi-3",
+                                                                                                                                                                                                                    "name": "Yumi",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "idar",
+                                                                                                                                                                                                                            "name": "Idar",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yumgam",
+                                                                                                                                                                                                                    "name": "Yumgam",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        }
+                                                                                                                                                                                    ]
+                                                                                                                                                                                }
+                                                                                                                                                                            ]
+                                                                                                                                                                        }
+                                                                                                                                                                    ]
+                                                                                                                                                                },
+                                                                                                                                                                {
+                                                                                                                                                                    "id": "lakom",
+                                                                                                                                                                    "name": "Lakom",
+                                                                                                                                                                    "children": [
+                                                                                                                                                                        {
+                                                                                                                                                                            "id": "komrak",
+                                                                                                                                                                            "name": "Komrak",
+                                                                                                                                                                            "children": [
+                                                                                                                                                                                {
+                                                                                                                                                                                    "id": "raklen",
+                                                                                                                                                                                    "name": "Raklen",
+                                                                                                                                                                                    "children": [
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "lenke",
+                                                                                                                                                                                            "name": "Lenke",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "kekar",
+                                                                                                                                                                                                    "name": "Kekar",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "karjar",
+                                                                                                                                                                                                            "name": "Karjar",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jardik",
+                                                                                                                                                                                                                    "name": "Jardik",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "dikpe",
+                                                                                                                                                                                                                            "name": "Dikpe",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jarken",
+                                                                                                                                                                                                                    "name": "Jarken",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "kenyi",
+                                                                                                                                                                                                                            "name": "Kenyi",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "kenba",
+                                                                                                                                                                                                                            "name": "Kenba",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jartum",
+                                                                                                                                                                                                                    "name": "Jartum",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "tumken",
+                                                                                                                                                                                                                            "name": "Tumken",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "tumrik",
+                                                                                                                                                                                                                            "name": "Tumrik",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "tumli",
+                                                                                                                                                                                                                            "name": "Tumli",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "karbom",
+                                                                                                                                                                                                            "name": "Karbom",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bomnya",
+                                                                                                                                                                                                                    "name": "Bomnya",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "nyabi",
+                                                                                                                                                                                                                            "name": "Nyabi",
+                                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                                {
+                                                                                                                                                                                                                                    "id": "bigam-2",
+                                                                                                                                                                                                                                    "name": "Bigam",
+                                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                                }
+                                                                                                                                                                                                                            ]
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "nyato-2",
+                                                                                                                                                                                                                            "name": "Nyato",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bomjum",
+                                                                                                                                                                                                                    "name": "Bomjum",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "jumkum",
+                                                                                                                                                                                                                            "name": "Jumkum",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        },
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "lenpen",
+                                                                                                                                                                                            "name": "Lenpen",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "pengo",
+                                                                                                                                                                                                    "name": "Pengo",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "goya",
+                                                                                                                                                                                                            "name": "Goya",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yari",
+                                                                                                                                                                                                                    "name": "Yari",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "ribi",
+                                                                                                                                                                                                                            "name": "Ribi",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        },
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "riba",
+                                                                                                                                                                                                                            "name": "Riba",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        }
+                                                                                                                                                                                    ]
+                                                                                                                                                                                }
+                                                                                                                                                                            ]
+                                                                                                                                                                        }
+                                                                                                                                                                    ]
+                                                                                                                                                                }
+                                                                                                                                                            ]
+                                                                                                                                                        }
+                                                                                                                                                    ]
+                                                                                                                                                },
+                                                                                                                                                {
+                                                                                                                                                    "id": "jarba",
+                                                                                                                                                    "name": "Jarba",
+                                                                                                                                                    "children": [
+                                                                                                                                                        {
+                                                                                                                                                            "id": "bajar-2",
+                                                                                                                                                            "name": "Bajar",
+                                                                                                                                                            "children": [
+                                                                                                                                                                {
+                                                                                                                                                                    "id": "jarba-2",
+                                                                                                                                                                    "name": "Jarba",
+                                                                                                                                                                    "children": [
+                                                                                                                                                                        {
+                                                                                                                                                                            "id": "baki-2",
+                                                                                                                                                                            "name": "Baki",
+                                                                                                                                                                            "children": [
+                                                                                                                                                                                {
+                                                                                                                                                                                    "id": "kika",
+                                                                                                                                                                                    "name": "Kika",
+                                                                                                                                                                                    "children": [
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "kai",
+                                                                                                                                                                                            "name": "Kai",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "ijum",
+                                                                                                                                                                                                    "name": "Ijum",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "jumchi",
+                                                                                                                                                                                                            "name": "Jumchi",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "chili",
+                                                                                                                                                                                                                    "name": "Chili",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "chikul",
+                                                                                                                                                                                                                    "name": "Chikul",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "jummar",
+                                                                                                                                                                                                            "name": "Jummar",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "marjum-4",
+                                                                                                                                                                                                                    "name": "Marjum",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "marge",
+                                                                                                                                                                                                                    "name": "Marge",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        }
+                                                                                                                                                                                    ]
+                                                                                                                                                                                },
+                                                                                                                                                                                {
+                                                                                                                                                                                    "id": "kirak",
+                                                                                                                                                                                    "name": "Kirak",
+                                                                                                                                                                                    "children": [
+                                                                                                                                                                                        {
+                                                                                                                                                                                            "id": "rakrik",
+                                                                                                                                                                                            "name": "Rakrik",
+                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "rikbi",
+                                                                                                                                                                                                    "name": "Rikbi",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "bigo",
+                                                                                                                                                                                                            "name": "Bigo",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "goto-2",
+                                                                                                                                                                                                                    "name": "Goto",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "tomar",
+                                                                                                                                                                                                                            "name": "Tomar",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "bijir",
+                                                                                                                                                                                                            "name": "Bijir",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jirdam",
+                                                                                                                                                                                                                    "name": "Jirdam",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "damson",
+                                                                                                                                                                                                                            "name": "Damson",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "jirbom",
+                                                                                                                                                                                                                    "name": "Jirbom",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "bigu",
+                                                                                                                                                                                                            "name": "Bigu",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "gubin",
+                                                                                                                                                                                                                    "name": "Gubin",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "binya",
+                                                                                                                                                                                                            "name": "Binya",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "nyatu",
+                                                                                                                                                                                                                    "name": "Nyatu",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "rikma",
+                                                                                                                                                                                                    "name": "Rikma",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "marik",
+                                                                                                                                                                                                            "name": "Marik",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "rikmi",
+                                                                                                                                                                                                                    "name": "Rikmi",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "rikjom",
+                                                                                                                                                                                                                    "name": "Rikjom",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "mayom",
+                                                                                                                                                                                                            "name": "Mayom",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "yombom",
+                                                                                                                                                                                                                    "name": "Yombom",
+                                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                                        {
+                                                                                                                                                                                                                            "id": "bomnu",
+                                                                                                                                                                                                                            "name": "Bomnu",
+                                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                                        }
+                                                                                                                                                                                                                    ]
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                },
+                                                                                                                                                                                                {
+                                                                                                                                                                                                    "id": "rikken",
+                                                                                                                                                                                                    "name": "Rikken",
+                                                                                                                                                                                                    "children": [
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kenli",
+                                                                                                                                                                                                            "name": "Kenli",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "linn",
+                                                                                                                                                                                                                    "name": "Linn",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "lio",
+                                                                                                                                                                                                                    "name": "Lio",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kenba-2",
+                                                                                                                                                                                                            "name": "Kenba",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bapu",
+                                                                                                                                                                                                                    "name": "Bapu",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "bamin",
+                                                                                                                                                                                                                    "name": "Bamin",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kenrik",
+                                                                                                                                                                                                            "name": "Kenrik",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "rikluk",
+                                                                                                                                                                                                                    "name": "Rikluk",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                },
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "riknu",
+                                                                                                                                                                                                                    "name": "Riknu",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kenpe",
+                                                                                                                                                                                                            "name": "Kenpe",
+                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "kenter",
+                                                                                                                                                                                                            "name": "Kenter",
+                                                                                                                                                                                                            "children": []
+                                                                                                                                                                                                        },
+                                                                                                                                                                                                        {
+                                                                                                                                                                                                            "id": "keni",
+                                                                                                                                                                                                            "name": "Keni",
+                                                                                                                                                                                                            "children": [
+                                                                                                                                                                                                                {
+                                                                                                                                                                                                                    "id": "ige",
+                                                                                                                                                                                                                    "name": "Ige",
+                                                                                                                                                                                                                    "children": []
+                                                                                                                                                                                                                }
+                                                                                                                                                                                                            ]
+                                                                                                                                                                                                        }
+                                                                                                                                                                                                    ]
+                                                                                                                                                                                                }
+                                                                                                                                                                                            ]
+                                                                                                                                                                                        }
+                                                                                                                                                                                    ]
+                                                                                                                                                                                }
+                                                                                                                                                                            ]
+                                                                                                                                                                        }
+                                                                                                                                                                    ]
+                                                                                                                                                                }
+                                                                                                                                                            ]
+                                                                                                                                                        }
+                                                                                                                                                    ]
+                                                                                                                                                }
+                                                                                                                                            ]
+                                                                                                                                        }
+                                                                                                                                    ]
+                                                                                                                                }
+                                                                                                                            ]
+                                                                                                                        }
+                                                                                                                    ]
+                                                                                                                }
+                                                                                                            ]
+                                                                                                        }
+                                                                                                    ]
+                                                                                                }
+                                                                                            ]
+                                                                                        },
+                                                                                        {
+                                                                                            "id": "menba-2",
+                                                                                            "name": "Menba",
+                                                                                            "children": [
+                                                                                                {
+                                                                                                    "id": "badak",
+                                                                                                    "name": "Badak",
+                                                                                                    "children": [
+                                                                                                        {
+                                                                                                            "id": "dakram",
+                                                                                                            "name": "Dakram",
+                                                                                                            "children": [
+                                                                                                                {
+                                                                                                                    "id": "ramka",
+                                                                                                                    "name": "Ramka",
+                                                                                                                    "children": [
+                                                                                                                        {
+                                                                                                                            "id": "kali-3",
+                                                                                                                            "name": "Kali"
+                                                                                                                        }
+                                                                                                                    ]
+                                                                                                                }
+                                                                                                            ]
+                                                                                                        }
+                                                                                                    ]
+                                                                                                }
+                                                                                            ]
+                                                                                        },
+                                                                                        {
+                                                                                            "id": "menbom",
+                                                                                            "name": "Menbom"
+                                                                                        },
+                                                                                        {
+                                                                                            "id": "menbi",
+                                                                                            "name": "Menbi",
+                                                                                            "children": [
+                                                                                                {
+                                                                                                    "id": "bini",
+                                                                                                    "name": "Bini",
+                                                                                                    "children": [
+                                                                                                        {
+                                                                                                            "id": "nido-2",
+                                                                                                            "name": "Nido",
+                                                                                                            "children": [
+                                                                                                                {
+                                                                                                                    "id": "dori-2",
+                                                                                                                    "name": "Dori",
+                                                                                                                    "children": [
+                                                                                                                        {
+                                                                                                                            "id": "riji",
+                                                                                                                            "name": "Riji"
+                                                                                                                        }
+                                                                                                                    ]
+                                                                                                                }
+                                                                                                            ]
+                                                                                                        }
+                                                                                                    ]
+                                                                                                }
+                                                                                            ]
+                                                                                        }
+                                                                                    ]
+                                                                                }
+                                                                            ]
+                                                                        }
+                                                                    ]
+                                                                },
+                                                                {
+                                                                    "id": "boa",
+                                                                    "name": "Boa",
+                                                                    "children": [
+                                                                        {
+                                                                            "id": "ango",
+                                                                            "name": "Ango",
+                                                                            "children": []
+                                                                        }
+                                                                    ]
+                                                                },
+                                                                {
+                                                                    "id": "boi",
+                                                                    "name": "Boi",
+                                                                    "children": [
+                                                                        {
+                                                                            "id": "ingo",
+                                                                            "name": "Ingo"
+                                                                        }
+                                                                    ]
+                                                                }
+                                                            ]
+                                                        }
+                                                    ]
+                                                }
+                                            ]
+                                        }
+                                    ]
+                                }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        }
+    }
+}
@@ -0,0 +1,234 @@
+// Draws the chart currently on screen as a self-contained SVG, with real
+// connector lines from each parent to its children, and turns that SVG into a
+// PNG or a multi-page PDF for printing.
+//
+// The caller passes the displayed root, a getChildren(node) callback returning
+// the children that are currently shown, and cardLines(node, level) returning
+// the text of each card (the name first).
+
+class ChartExporter {
+    static MARGIN = 40;
+    static TITLE_HEIGHT = 50;
+    static PX_TO_PT = 0.75; // 96 CSS pixels per inch, 72 points per inch
+    static PAGE_SIZES = {
+        a4: [595, 842],
+        a3: [842, 1191],
+        a2: [1191, 1684],
+        a1: [1684, 2384],
+        a0: [2384, 3370],
+        letter: [612, 792]
+    };
+    static PDF_MARGIN = 28;
+    static MAX_CANVAS_SIDE = 16384;
+    static MAX_CANVAS_AREA = 120000000;
+
+    constructor(rootNode, getChildren, { title = '', cardLines, highlightId = null } = {}) {
+        this.treeLayout = new TreeLayout();
+        this.layout = this.treeLayout.layout(rootNode, getChildren);
+        this.title = title;
+        this.cardLines = cardLines || (node => [node.name]);
+        this.highlightId = highlightId;
+        this.width = this.layout.width + ChartExporter.MARGIN * 2;
+        this.height = this.layout.height + ChartExporter.MARGIN * 2 + ChartExporter.TITLE_HEIGHT;
+    }
+
+    static escapeXml(text) {
+        return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+
+    // SVG text does not wrap, so long lines are shortened to fit the card
+    static fitText(text, fontSize, maxWidth) {
+        const maxChars = Math.floor(maxWidth / (fontSize * 0.55));
+        return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+    }
+
+    toSvg() {
+        const { nodeWidth, nodeHeight } = this.treeLayout;
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            '<style>',
+            '.card { fill: #fff8f0; stroke: #c2b280; stroke-width: 1.5; }',
+            '.card.highlight { fill: #fcd9b6; stroke: #8b5e3c; stroke-width: 2.5; }',
+            '.name { font: bold 14px Georgia, serif; fill: #4a3f35; }',
+            '.detail { font: 11px Georgia, serif; fill: #8b5e3c; }',
+            '.title { font: 24px "Palatino Linotype", "Book Antiqua", serif; fill: #4a3f35; }',
+            '.link { fill: none; stroke: #a67c52; stroke-width: 1.5; }',
+            '</style>',
+            `<rect width="${this.width}" height="${this.height}" fill="#fdfaf5"/>`,
+            `<text class="title" x="${this.width / 2}" y="${ChartExporter.MARGIN + 20}" text-anchor="middle">${ChartExporter.escapeXml(this.title)}</text>`,
+            `<g transform="translate(${ChartExporter.MARGIN} ${ChartExporter.MARGIN + ChartExporter.TITLE_HEIGHT})">`
+        ];
+
+        this.layout.items.forEach(item => {
+            item.children.forEach(child => {
+                parts.push(`<path class="link" d="${this.treeLayout.connectorPath(item, child)}"/>`);
+            });
+        });
+
+        this.layout.items.forEach(item => {
+            const [name, ...details] = this.cardLines(item.node, item.level);
+            const highlight = item.node.id === this.highlightId ? ' highlight' : '';
+            parts.push(`<g transform="translate(${item.x} ${item.y})">`);
+            parts.push(`<rect class="card${highlight}" width="${nodeWidth}" height="${nodeHeight}" rx="10"/>`);
+            parts.push(`<text class="name" x="${nodeWidth / 2}" y="24" text-anchor="middle">${ChartExporter.escapeXml(ChartExporter.fitText(name, 14, nodeWidth - 12))}</text>`);
+            details.slice(0, 3).forEach((line, index) => {
+                const text = ChartExporter.escapeXml(ChartExporter.fitText(line, 11, nodeWidth - 12));
+                parts.push(`<text class="detail" x="${nodeWidth / 2}" y="${44 + index * 15}" text-anchor="middle">${text}</text>`);
+            });
+            parts.push('</g>');
+        });
+
+        parts.push('</g>', '</svg>');
+        return parts.join('\n');
+    }
+
+    loadImage() {
+        const url = URL.createObjectURL(new Blob([this.toSvg()], { type: 'image/svg+xml' }));
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('The chart could not be drawn as an image'));
+            };
+            image.src = url;
+        });
+    }
+
+    static canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not create the image'))), type, quality);
+        });
+    }
+
+    // Twice the screen resolution, reduced when the browser's canvas size limit would be exceeded
+    pngScale() {
+        return Math.min(
+            2,
+            ChartExporter.MAX_CANVAS_SIDE / this.width,
+            ChartExporter.MAX_CANVAS_SIDE / this.height,
+            Math.sqrt(ChartExporter.MAX_CANVAS_AREA / (this.width * this.height))
+        );
+    }
+
+    async toPng() {
+        const image = await this.loadImage();
+        const scale = this.pngScale();
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(this.width * scale);
+        canvas.height = Math.floor(this.height * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0);
+        return { blob: await ChartExporter.canvasToBlob(canvas, 'image/png'), scale };
+    }
+
+    // The chart is printed at its on-screen size and split over as many pages
+    // as it needs; each page is labelled with its row and column for assembly
+    async toPdf(pageSize = 'a4') {
+        let [pageWidth, pageHeight] = ChartExporter.PAGE_SIZES[pageSize] || ChartExporter.PAGE_SIZES.a4;
+        if (this.width > this.height) {
+            [pageWidth, pageHeight] = [pageHeight, pageWidth];
+        }
+        const margin = ChartExporter.PDF_MARGIN;
+        const tileWidth = (pageWidth - margin * 2) / ChartExporter.PX_TO_PT;
+        const tileHeight = (pageHeight - margin * 2) / ChartExporter.PX_TO_PT;
+        const columns = Math.ceil(this.width / tileWidth);
+        const rows = Math.ceil(this.height / tileHeight);
+
+        const image = await this.loadImage();
+        const scale = 2;
+        const pages = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const width = Math.min(tileWidth, this.width - column * tileWidth);
+                const height = Math.min(tileHeight, this.height - row * tileHeight);
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(width * scale);
+                canvas.height = Math.ceil(height * scale);
+                const context = canvas.getContext('2d');
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.scale(scale, scale);
+                context.drawImage(image, -column * tileWidth, -row * tileHeight);
+
+                const jpeg = await ChartExporter.canvasToBlob(canvas, 'image/jpeg', 0.92);
+                pages.push({
+                    jpeg: new Uint8Array(await jpeg.arrayBuffer()),
+                    pixelWidth: canvas.width,
+                    pixelHeight: canvas.height,
+                    width: width * ChartExporter.PX_TO_PT,
+                    height: height * ChartExporter.PX_TO_PT,
+                    label: rows * columns > 1
+                        ? `${this.title} - page ${pages.length + 1} of ${rows * columns} (row ${row + 1}, column ${column + 1})`
+                        : this.title
+                });
+            }
+        }
+
+        return { blob: ChartExporter.buildPdf(pages, pageWidth, pageHeight), pageCount: pages.length };
+    }
+
+    // A minimal PDF: one JPEG image per page plus a Helvetica caption
+    static buildPdf(pages, pageWidth, pageHeight) {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const startObject = (number) => {
+            offsets[number] = length;
+            write(`${number} 0 obj\n`);
+        };
+        // Captions are drawn in a standard font, so keep them to plain ASCII
+        const pdfText = text => text.replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, '\\$&');
+
+        const margin = ChartExporter.PDF_MARGIN;
+        const pageObjects = pages.map((_, index) => 4 + index * 3);
+
+        write('%PDF-1.4\n');
+        startObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+        startObject(2);
+        write(`<< /Type /Pages /Kids [${pageObjects.map(number => `${number} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+        startObject(3);
+        write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>\nendobj\n');
+
+        pages.forEach((page, index) => {
+            const pageNumber = pageObjects[index];
+            const top = pageHeight - margin;
+            const content = [
+                'q',
+                `${page.width.toFixed(2)} 0 0 ${page.height.toFixed(2)} ${margin} ${(top - page.height).toFixed(2)} cm`,
+                '/Im0 Do',
+                'Q',
+                `BT /F1 8 Tf ${margin} ${margin / 2} Td (${pdfText(page.label)}) Tj ET`
+            ].join('\n');
+
+            startObject(pageNumber);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+                `/Resources << /Font << /F1 3 0 R >> /XObject << /Im0 ${pageNumber + 2} 0 R >> >> ` +
+                `/Contents ${pageNumber + 1} 0 R >>\nendobj\n`);
+            startObject(pageNumber + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+            startObject(pageNumber + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+            write(page.jpeg);
+            write('\nendstream\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        write(`xref\n0 ${offsets.length}\n0000000000 65535 f \n`);
+        offsets.slice(1).forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+}
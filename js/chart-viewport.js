@@ -0,0 +1,379 @@
+// Pan and zoom for the chart. The container becomes a fixed-size window onto a
+// "stage" element that holds the chart and is moved with a CSS transform:
+// drag to pan, Ctrl (or Cmd) + mouse wheel or pinch to zoom, plus buttons to
+// zoom, fit the chart to the window and center the selected person. A plain
+// wheel or a one-finger swipe up or down still scrolls the page. A minimap in
+// the corner shows where the window sits in the whole chart and can be clicked
+// to move it.
+//
+// The chart is rendered into `stage`; call update() after each render. The
+// transform is kept between renders, so expanding a branch doesn't reset the zoom.
+// setRuler() labels the chart's rows in a strip pinned to the left edge, which
+// follows the chart up and down but stays put when it is panned sideways.
+
+class ChartViewport {
+    static MIN_SCALE = 0.1;
+    static MAX_SCALE = 2;
+    static MINIMAP_WIDTH = 180;
+    static MINIMAP_HEIGHT = 120;
+    static DRAG_THRESHOLD = 4; // pixels a pointer moves before a press becomes a pan
+
+    constructor(container, getSelectedElement) {
+        this.container = container;
+        this.getSelectedElement = getSelectedElement;
+        this.x = 0;
+        this.y = 0;
+        this.scale = 1;
+        this.pointers = new Map();
+        this.gesture = null;
+        this.suppressClick = false;
+        this.cardRects = [];
+        this.rulerRows = [];
+
+        this.container.classList.add('chart-viewport');
+        this.stage = document.createElement('div');
+        this.stage.className = 'chart-stage';
+        this.container.appendChild(this.stage);
+        this.container.appendChild(this.createRuler());
+        this.container.appendChild(this.createControls());
+        this.container.appendChild(this.createMinimap());
+
+        this.setupEvents();
+        this.applyTransform();
+    }
+
+    createControls() {
+        const controls = document.createElement('div');
+        controls.className = 'viewport-controls';
+        const buttons = [
+            ['+', 'Zoom in', () => this.zoomBy(1.25)],
+            ['−', 'Zoom out', () => this.zoomBy(0.8)],
+            ['Fit', 'Fit the chart to the screen', () => this.fit()],
+            ['Center', 'Center on the selected person', () => this.centerOnSelected()]
+        ];
+        buttons.forEach(([label, title, handler]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.setAttribute('aria-label', title);
+            button.addEventListener('click', handler);
+            controls.appendChild(button);
+        });
+
+        this.zoomLabel = document.createElement('span');
+        this.zoomLabel.className = 'viewport-zoom';
+        controls.appendChild(this.zoomLabel);
+        return controls;
+    }
+
+    createRuler() {
+        this.ruler = document.createElement('div');
+        this.ruler.className = 'viewport-ruler';
+        this.ruler.hidden = true;
+        this.ruler.setAttribute('aria-hidden', 'true');
+        return this.ruler;
+    }
+
+    createMinimap() {
+        this.minimap = document.createElement('canvas');
+        this.minimap.className = 'viewport-minimap';
+        this.minimap.width = ChartViewport.MINIMAP_WIDTH;
+        this.minimap.height = ChartViewport.MINIMAP_HEIGHT;
+        this.minimap.setAttribute('aria-hidden', 'true');
+        return this.minimap;
+    }
+
+    setupEvents() {
+        this.container.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey && !e.metaKey) {
+                return;
+            }
+            e.preventDefault();
+            // Trackpad pinches arrive as wheel events with ctrlKey and small deltas
+            const speed = Math.abs(e.deltaY) < 50 ? 0.01 : 0.0015;
+            this.zoomAt(e.clientX, e.clientY, Math.exp(-e.deltaY * speed));
+        }, { passive: false });
+
+        this.container.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('button, input, select, summary, a, .viewport-controls')) {
+                return;
+            }
+            if (e.target === this.minimap) {
+                this.gesture = { type: 'minimap' };
+                this.moveToMinimapPoint(e);
+                return;
+            }
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startGesture();
+        });
+
+        window.addEventListener('pointermove', (e) => {
+            if (this.gesture && this.gesture.type === 'minimap') {
+                this.moveToMinimapPoint(e);
+                return;
+            }
+            if (!this.pointers.has(e.pointerId)) {
+                return;
+            }
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.continueGesture();
+        });
+
+        const endPointer = (e) => {
+            if (this.gesture && this.gesture.type === 'minimap') {
+                this.gesture = null;
+                return;
+            }
+            if (!this.pointers.delete(e.pointerId)) {
+                return;
+            }
+            if (this.gesture && this.gesture.moved) {
+                // The press that ended a pan must not also click a card
+                this.suppressClick = true;
+            }
+            this.container.classList.remove('panning');
+            this.startGesture();
+        };
+        window.addEventListener('pointerup', endPointer);
+        window.addEventListener('pointercancel', endPointer);
+
+        this.container.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                e.stopPropagation();
+                e.preventDefault();
+                this.suppressClick = false;
+            }
+        }, true);
+    }
+
+    // One pointer pans; two pointers pinch-zoom around their midpoint
+    startGesture() {
+        const points = [...this.pointers.values()];
+        const moved = this.gesture ? this.gesture.moved : false;
+        if (points.length === 1) {
+            this.gesture = { type: 'pan', startX: points[0].x, startY: points[0].y, originX: this.x, originY: this.y, moved };
+        } else if (points.length === 2) {
+            this.gesture = { type: 'pinch', distance: this.pointerDistance(points), scale: this.scale, moved: true };
+        } else {
+            this.gesture = null;
+        }
+    }
+
+    continueGesture() {
+        const points = [...this.pointers.values()];
+        if (!this.gesture) {
+            return;
+        }
+        if (this.gesture.type === 'pan') {
+            const dx = points[0].x - this.gesture.startX;
+            const dy = points[0].y - this.gesture.startY;
+            if (!this.gesture.moved && Math.hypot(dx, dy) < ChartViewport.DRAG_THRESHOLD) {
+                return;
+            }
+            this.gesture.moved = true;
+            this.container.classList.add('panning');
+            this.setTransform(this.gesture.originX + dx, this.gesture.originY + dy, this.scale);
+        } else if (this.gesture.type === 'pinch' && points.length === 2) {
+            const midX = (points[0].x + points[1].x) / 2;
+            const midY = (points[0].y + points[1].y) / 2;
+            const target = this.gesture.scale * this.pointerDistance(points) / this.gesture.distance;
+            this.zoomAt(midX, midY, target / this.scale);
+        }
+    }
+
+    pointerDistance(points) {
+        return Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) || 1;
+    }
+
+    // Zooms while keeping the chart point under (clientX, clientY) in place
+    zoomAt(clientX, clientY, factor) {
+        const rect = this.container.getBoundingClientRect();
+        const scale = Math.min(ChartViewport.MAX_SCALE, Math.max(ChartViewport.MIN_SCALE, this.scale * factor));
+        const pointX = clientX - rect.left;
+        const pointY = clientY - rect.top;
+        const chartX = (pointX - this.x) / this.scale;
+        const chartY = (pointY - this.y) / this.scale;
+        this.setTransform(pointX - chartX * scale, pointY - chartY * scale, scale);
+    }
+
+    zoomBy(factor) {
+        const rect = this.container.getBoundingClientRect();
+        this.animate(() => this.zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, factor));
+    }
+
+    contentSize() {
+        return { width: this.stage.scrollWidth, height: this.stage.scrollHeight };
+    }
+
+    fit() {
+        const { width, height } = this.contentSize();
+        const viewWidth = this.container.clientWidth;
+        const viewHeight = this.container.clientHeight;
+        if (!width || !height || !viewWidth || !viewHeight) {
+            return;
+        }
+        const scale = Math.max(ChartViewport.MIN_SCALE, Math.min(1, viewWidth / width, viewHeight / height) * 0.95);
+        this.animate(() => this.setTransform((viewWidth - width * scale) / 2, (viewHeight - height * scale) / 2, scale));
+    }
+
+    // Moves the chart so that an element inside it is in the middle of the window
+    centerOn(element) {
+        const stageRect = this.stage.getBoundingClientRect();
+        const rect = element.getBoundingClientRect();
+        const chartX = (rect.left + rect.width / 2 - stageRect.left) / this.scale;
+        const chartY = (rect.top + rect.height / 2 - stageRect.top) / this.scale;
+        this.animate(() => this.setTransform(
+            this.container.clientWidth / 2 - chartX * this.scale,
+            this.container.clientHeight / 2 - chartY * this.scale,
+            this.scale
+        ));
+    }
+
+    // Centers an element only when part of it is outside the window, e.g. a card reached with the keyboard
+    keepInView(element) {
+        const view = this.container.getBoundingClientRect();
+        const rect = element.getBoundingClientRect();
+        if (rect.left < view.left || rect.top < view.top || rect.right > view.right || rect.bottom > view.bottom) {
+            this.centerOn(element);
+        }
+    }
+
+    centerOnSelected() {
+        const element = this.getSelectedElement();
+        if (element) {
+            this.centerOn(element);
+        }
+    }
+
+    animate(change) {
+        this.stage.classList.add('animating');
+        change();
+        clearTimeout(this.animationTimer);
+        this.animationTimer = setTimeout(() => this.stage.classList.remove('animating'), 300);
+    }
+
+    setTransform(x, y, scale) {
+        // Keep part of the chart on screen so it can't be lost by panning
+        const { width, height } = this.contentSize();
+        const margin = 80;
+        const viewWidth = this.container.clientWidth;
+        const viewHeight = this.container.clientHeight;
+        if (viewWidth && viewHeight) {
+            x = Math.min(viewWidth - margin, Math.max(margin - width * scale, x));
+            y = Math.min(viewHeight - margin, Math.max(margin - height * scale, y));
+        }
+        this.x = x;
+        this.y = y;
+        this.scale = scale;
+        this.applyTransform();
+    }
+
+    // Moves the chart by a distance in screen pixels, e.g. to keep a card still while the chart changes around it
+    panBy(dx, dy) {
+        this.setTransform(this.x + dx, this.y + dy, this.scale);
+    }
+
+    applyTransform() {
+        this.stage.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.zoomLabel.textContent = `${Math.round(this.scale * 100)}%`;
+        this.positionRuler();
+        this.drawMinimap();
+    }
+
+    // rows: [{ top, height, label, detail, title }] in chart pixels from the top
+    // of the stage; an empty list hides the ruler
+    setRuler(rows) {
+        this.rulerRows = rows.map(row => {
+            const mark = document.createElement('div');
+            mark.className = 'ruler-mark';
+            mark.title = row.title || '';
+            const label = document.createElement('span');
+            label.className = 'ruler-label';
+            label.textContent = row.label;
+            mark.appendChild(label);
+            if (row.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'ruler-detail';
+                detail.textContent = row.detail;
+                mark.appendChild(detail);
+            }
+            return { ...row, mark };
+        });
+        this.ruler.replaceChildren(...this.rulerRows.map(row => row.mark));
+        this.ruler.hidden = this.rulerRows.length === 0;
+        this.positionRuler();
+    }
+
+    positionRuler() {
+        this.rulerRows.forEach(row => {
+            row.mark.style.top = `${this.y + row.top * this.scale}px`;
+            row.mark.style.height = `${row.height * this.scale}px`;
+        });
+    }
+
+    // Called after the chart is re-rendered: re-reads card positions for the
+    // minimap and pulls the chart back into view if it shrank
+    update() {
+        const stageRect = this.stage.getBoundingClientRect();
+        this.cardRects = [...this.stage.querySelectorAll('.node-box')].map(card => {
+            const rect = card.getBoundingClientRect();
+            return {
+                x: (rect.left - stageRect.left) / this.scale,
+                y: (rect.top - stageRect.top) / this.scale,
+                width: rect.width / this.scale,
+                height: rect.height / this.scale,
+                highlighted: card.classList.contains('highlighted') || card.classList.contains('pedigree-selected')
+            };
+        });
+        this.setTransform(this.x, this.y, this.scale);
+    }
+
+    minimapScale() {
+        const { width, height } = this.contentSize();
+        if (!width || !height) {
+            return 0;
+        }
+        return Math.min(ChartViewport.MINIMAP_WIDTH / width, ChartViewport.MINIMAP_HEIGHT / height);
+    }
+
+    drawMinimap() {
+        const context = this.minimap.getContext && this.minimap.getContext('2d');
+        if (!context) {
+            return;
+        }
+        const mapScale = this.minimapScale();
+        context.clearRect(0, 0, this.minimap.width, this.minimap.height);
+        if (!mapScale) {
+            return;
+        }
+
+        this.cardRects.forEach(rect => {
+            context.fillStyle = rect.highlighted ? '#d4a373' : '#c2b280';
+            context.fillRect(rect.x * mapScale, rect.y * mapScale, Math.max(2, rect.width * mapScale), Math.max(2, rect.height * mapScale));
+        });
+
+        context.strokeStyle = '#8b5e3c';
+        context.lineWidth = 2;
+        context.strokeRect(
+            (-this.x / this.scale) * mapScale,
+            (-this.y / this.scale) * mapScale,
+            (this.container.clientWidth / this.scale) * mapScale,
+            (this.container.clientHeight / this.scale) * mapScale
+        );
+    }
+
+    moveToMinimapPoint(e) {
+        const mapScale = this.minimapScale();
+        if (!mapScale) {
+            return;
+        }
+        const rect = this.minimap.getBoundingClientRect();
+        const chartX = (e.clientX - rect.left) / mapScale;
+        const chartY = (e.clientY - rect.top) / mapScale;
+        this.setTransform(
+            this.container.clientWidth / 2 - chartX * this.scale,
+            this.container.clientHeight / 2 - chartY * this.scale,
+            this.scale
+        );
+    }
+}
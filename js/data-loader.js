@@ -0,0 +1,198 @@
+// Loads the genealogy tree from the JSON files listed in data/manifest.json.
+//
+// The manifest names one or more tree files, relative to the manifest itself:
+//
+//     { "trees": [ "geneology.json", { "path": "branch.json", "attachTo": "yubo" } ] }
+//
+// A plain entry (or one without `attachTo`) is a top-level tree. An entry with
+// `attachTo` grafts the file's people under the person with that id, so large
+// branches can be maintained in their own files.
+
+class GenealogyDataError extends Error {
+    constructor(message, path) {
+        super(path ? `${path}: ${message}` : message);
+        this.name = 'GenealogyDataError';
+        this.path = path;
+    }
+}
+
+class GenealogyDataLoader {
+    constructor(manifestUrl = 'data/manifest.json') {
+        this.manifestUrl = manifestUrl;
+        this.baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+    }
+
+    canFetch() {
+        // Browsers refuse fetch() for pages opened straight from disk
+        return typeof fetch === 'function' && window.location.protocol !== 'file:';
+    }
+
+    async load() {
+        let useEmbedded = !this.canFetch();
+        let manifest = null;
+
+        if (!useEmbedded) {
+            try {
+                manifest = await this.fetchJson(this.manifestUrl);
+            } catch (error) {
+                // fetch() rejects with a TypeError when the request never reached a server
+                if (!(error instanceof TypeError)) {
+                    throw error;
+                }
+                console.warn('Could not fetch genealogy data, using the embedded copy:', error);
+                useEmbedded = true;
+            }
+        }
+
+        if (useEmbedded) {
+            if (typeof GenealogyData === 'undefined') {
+                throw new GenealogyDataError('Genealogy data could not be fetched and no embedded copy is loaded');
+            }
+            manifest = GenealogyData.manifest;
+        }
+
+        const entries = this.validateManifest(manifest);
+
+        const files = [];
+        for (const entry of entries) {
+            const filePath = this.baseUrl + entry.path;
+            const content = useEmbedded
+                ? this.readEmbedded(entry.path, filePath)
+                : await this.fetchJson(filePath);
+            files.push({ entry, filePath, roots: this.validateTree(content, filePath) });
+        }
+
+        return this.mergeTrees(files);
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new GenealogyDataError(`HTTP error! status: ${response.status}`, url);
+        }
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new GenealogyDataError(`Invalid JSON (${error.message})`, url);
+        }
+    }
+
+    readEmbedded(path, filePath) {
+        if (!Object.prototype.hasOwnProperty.call(GenealogyData.files, path)) {
+            throw new GenealogyDataError('File is missing from the embedded copy; run scripts/embed_data.py', filePath);
+        }
+        return GenealogyData.files[path];
+    }
+
+    validateManifest(manifest) {
+        if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.trees)) {
+            throw new GenealogyDataError('Manifest must be an object with a "trees" array', this.manifestUrl);
+        }
+        if (manifest.trees.length === 0) {
+            throw new GenealogyDataError('Manifest does not list any tree files', this.manifestUrl);
+        }
+
+        return manifest.trees.map((entry, index) => {
+            const entryPath = `${this.manifestUrl}: trees[${index}]`;
+            const normalized = typeof entry === 'string' ? { path: entry } : entry;
+            if (!normalized || typeof normalized.path !== 'string' || !normalized.path.trim()) {
+                throw new GenealogyDataError('Entry must be a file name or an object with a "path"', entryPath);
+            }
+            if (normalized.attachTo !== undefined && typeof normalized.attachTo !== 'string') {
+                throw new GenealogyDataError('"attachTo" must be a person id', entryPath);
+            }
+            return { ...normalized, index };
+        });
+    }
+
+    validateTree(content, filePath) {
+        // convert.py writes a single root object, or a list when the sheet has several roots
+        const roots = Array.isArray(content) ? content : [content];
+        if (roots.length === 0) {
+            throw new GenealogyDataError('File does not contain any people', filePath);
+        }
+
+        roots.forEach((root, index) => {
+            this.validatePerson(root, Array.isArray(content) ? `[${index}]` : '', filePath);
+        });
+        return roots;
+    }
+
+    validatePerson(person, jsonPath, filePath) {
+        const where = `${filePath}: ${jsonPath || '(root)'}`;
+
+        if (!person || typeof person !== 'object' || Array.isArray(person)) {
+            throw new GenealogyDataError('Expected a person object', where);
+        }
+        if (typeof person.name !== 'string' || !person.name.trim()) {
+            throw new GenealogyDataError('Person is missing a "name"', where);
+        }
+        if (person.id !== undefined && !PersonRecord.isValidId(person.id)) {
+            throw new GenealogyDataError('"id" must be lowercase letters, digits and "-" (e.g. "dori-2")', where);
+        }
+        PersonRecord.validate(person, where);
+        if (person.children !== undefined) {
+            if (!Array.isArray(person.children)) {
+                throw new GenealogyDataError('"children" must be an array', where);
+            }
+            person.children.forEach((child, index) => {
+                this.validatePerson(child, `${jsonPath}${jsonPath ? '.' : ''}children[${index}]`, filePath);
+            });
+        }
+    }
+
+    mergeTrees(files) {
+        const roots = [];
+        const idLocations = new Map();
+
+        // Ids must be unique across every file, not just within one
+        const registerIds = (person, filePath) => {
+            if (person.id) {
+                if (idLocations.has(person.id)) {
+                    throw new GenealogyDataError(
+                        `Duplicate id "${person.id}" (also used in ${idLocations.get(person.id)})`,
+                        filePath
+                    );
+                }
+                idLocations.set(person.id, filePath);
+            }
+            if (person.children) {
+                person.children.forEach(child => registerIds(child, filePath));
+            }
+        };
+        files.forEach(file => file.roots.forEach(root => registerIds(root, file.filePath)));
+
+        files.filter(file => !file.entry.attachTo).forEach(file => roots.push(...file.roots));
+
+        files.filter(file => file.entry.attachTo).forEach(file => {
+            const parent = this.findById(roots, file.entry.attachTo);
+            if (!parent) {
+                throw new GenealogyDataError(
+                    `No person with id "${file.entry.attachTo}" to attach ${file.entry.path} to`,
+                    `${this.manifestUrl}: trees[${file.entry.index}]`
+                );
+            }
+            parent.children = [...(parent.children || []), ...file.roots];
+        });
+
+        // Several top-level ancestors are kept as separate lineages
+        return roots.length === 1 ? roots[0] : PersonRecord.forest(roots);
+    }
+
+    findById(nodes, id) {
+        for (const node of nodes) {
+            if (node.id === id) {
+                return node;
+            }
+            if (node.children) {
+                const found = this.findById(node.children, id);
+                if (found) {
+                    return found;
+                }
+            }
+        }
+        return null;
+    }
+}
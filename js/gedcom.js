@@ -0,0 +1,529 @@
+// GEDCOM 5.5.1 export and import.
+//
+// Export writes one INDI record per person (plus one per spouse) and one FAM
+// record per couple, with the children in the family of the person they
+// descend through. Person fields map to GEDCOM as follows:
+//
+//     name, clan   1 NAME <name> /<clan>/
+//     aliases      1 NAME <alias> + 2 TYPE aka
+//     gender       1 SEX M | F | U
+//     born, died   1 BIRT / 1 DEAT + 2 DATE    ("c. 1962" <-> "ABT 1962")
+//     village      1 RESI + 2 PLAC
+//     notes        1 NOTE (with CONT/CONC)
+//     id           1 REFN
+//
+// Import reads the same structures back into a {name, children} tree. Anything
+// else in the file is listed in the returned issues rather than dropped silently.
+
+class Gedcom {
+    static MAX_TEXT = 200; // GEDCOM lines are limited to 255 characters
+
+    static write(rootNode) {
+        const individuals = [];
+        const families = [];
+        const addIndividual = (record) => {
+            const individual = { xref: `@I${individuals.length + 1}@`, fams: [], ...record };
+            individuals.push(individual);
+            return individual;
+        };
+        const addFamily = (partner, spouse, children) => {
+            const family = { xref: `@F${families.length + 1}@`, children: [] };
+            const partnerIsWife = partner.person.gender === 'female';
+            family.husb = partnerIsWife ? spouse : partner;
+            family.wife = partnerIsWife ? partner : spouse;
+            [partner, spouse].filter(Boolean).forEach(individual => individual.fams.push(family.xref));
+            families.push(family);
+            children.forEach(child => {
+                child.famc = family.xref;
+                family.children.push(child);
+            });
+        };
+
+        const addPerson = (person) => {
+            const individual = addIndividual({ person });
+            const children = (person.children || []).map(addPerson);
+            const spouses = PersonRecord.spouses(person).map(spouse => addIndividual({ person: spouse, isSpouse: true }));
+
+            // Which spouse is the other parent isn't recorded, so the children
+            // only join a couple's family when there is exactly one spouse
+            if (spouses.length <= 1) {
+                if (spouses.length === 1 || children.length > 0) {
+                    addFamily(individual, spouses[0], children);
+                }
+            } else {
+                if (children.length > 0) {
+                    addFamily(individual, null, children);
+                }
+                spouses.forEach(spouse => addFamily(individual, spouse, []));
+            }
+            return individual;
+        };
+        PersonRecord.roots(rootNode).forEach(addPerson);
+
+        const lines = [
+            '0 HEAD',
+            '1 SOUR DOYOM_GENEALOGY',
+            '2 NAME Doyom Family Genealogy Tree',
+            '1 SUBM @U1@',
+            '1 GEDC',
+            '2 VERS 5.5.1',
+            '2 FORM LINEAGE-LINKED',
+            '1 CHAR UTF-8',
+            '0 @U1@ SUBM',
+            '1 NAME Doyom Family Genealogy Tree'
+        ];
+        individuals.forEach(individual => lines.push(...Gedcom.writeIndividual(individual)));
+        families.forEach(family => {
+            lines.push(`0 ${family.xref} FAM`);
+            if (family.husb) {
+                lines.push(`1 HUSB ${family.husb.xref}`);
+            }
+            if (family.wife) {
+                lines.push(`1 WIFE ${family.wife.xref}`);
+            }
+            family.children.forEach(child => lines.push(`1 CHIL ${child.xref}`));
+        });
+        lines.push('0 TRLR');
+
+        return lines.join('\n') + '\n';
+    }
+
+    static writeIndividual(individual) {
+        const person = individual.person;
+        const lines = [`0 ${individual.xref} INDI`];
+
+        lines.push(`1 NAME ${Gedcom.clean(person.name)}${person.clan ? ` /${Gedcom.clean(person.clan)}/` : ''}`);
+        (person.aliases || []).forEach(alias => {
+            lines.push(`1 NAME ${Gedcom.clean(alias)}`, '2 TYPE aka');
+        });
+        if (!individual.isSpouse) {
+            const sex = { male: 'M', female: 'F', other: 'U' }[person.gender];
+            if (sex) {
+                lines.push(`1 SEX ${sex}`);
+            }
+        }
+        [['born', 'BIRT'], ['died', 'DEAT']].forEach(([field, tag]) => {
+            if (person[field] !== undefined && person[field] !== '') {
+                lines.push(`1 ${tag}`, `2 DATE ${Gedcom.formatDate(person[field])}`);
+            }
+        });
+        if (person.village) {
+            lines.push('1 RESI', `2 PLAC ${Gedcom.clean(person.village)}`);
+        }
+        if (person.notes) {
+            lines.push(...Gedcom.writeText(1, 'NOTE', person.notes));
+        }
+        if (person.id) {
+            lines.push(`1 REFN ${person.id}`);
+        }
+        if (individual.famc) {
+            lines.push(`1 FAMC ${individual.famc}`);
+        }
+        individual.fams.forEach(xref => lines.push(`1 FAMS ${xref}`));
+
+        return lines;
+    }
+
+    // Slashes mark the surname and line breaks end the line, so keep them out of names
+    static clean(text) {
+        return String(text).replace(/[/\r\n]+/g, ' ').trim();
+    }
+
+    static formatDate(value) {
+        const text = String(value).trim();
+        if (/^\d{3,4}$/.test(text)) {
+            return text;
+        }
+        const approximate = text.match(/^(?:c\.?|ca\.?|circa|about|abt\.?)\s*(\d{3,4})$/i);
+        if (approximate) {
+            return `ABT ${approximate[1]}`;
+        }
+        // Anything else is kept as a date phrase
+        return `(${Gedcom.clean(text).replace(/[()]/g, '')})`;
+    }
+
+    static parseDate(value) {
+        const text = value.trim();
+        if (/^\d{3,4}$/.test(text)) {
+            return Number(text);
+        }
+        const approximate = text.match(/^ABT\s+(\d{3,4})$/i);
+        if (approximate) {
+            return `c. ${approximate[1]}`;
+        }
+        const phrase = text.match(/^\((.*)\)$/);
+        return phrase ? phrase[1] : text;
+    }
+
+    // Long text is split over CONT (new line) and CONC (same line) records
+    static writeText(level, tag, text) {
+        const lines = [];
+        String(text).split(/\r\n|\r|\n/).forEach((paragraph, index) => {
+            let rest = paragraph;
+            let currentTag = index === 0 ? tag : 'CONT';
+            let currentLevel = index === 0 ? level : level + 1;
+            do {
+                let cut = Math.min(rest.length, Gedcom.MAX_TEXT);
+                // Readers may trim spaces at a CONC break, so avoid splitting next to one
+                for (let candidate = cut; cut < rest.length && candidate > Gedcom.MAX_TEXT / 2; candidate--) {
+                    if (rest[candidate - 1] !== ' ' && rest[candidate] !== ' ') {
+                        cut = candidate;
+                        break;
+                    }
+                }
+                lines.push(`${currentLevel} ${currentTag}${rest ? ` ${rest.slice(0, cut)}` : ''}`);
+                rest = rest.slice(cut);
+                currentTag = 'CONC';
+                currentLevel = level + 1;
+            } while (rest);
+        });
+        return lines;
+    }
+
+    // Returns { tree, issues }, where each issue is { line, severity, message }.
+    // Throws a GenealogyDataError when no tree can be built at all.
+    static read(text) {
+        const issues = [];
+        const unsupported = new Map(); // "INDI.OCCU" -> { count, line }
+        const skip = (key, line) => {
+            const entry = unsupported.get(key) || { count: 0, line };
+            entry.count++;
+            unsupported.set(key, entry);
+        };
+
+        const records = Gedcom.parseLines(text, issues);
+        if (records.length === 0 || records[0].tag !== 'HEAD') {
+            issues.push({ line: 1, severity: 'warning', message: 'File does not start with a HEAD record' });
+        }
+        if (records.length > 0 && records[records.length - 1].tag !== 'TRLR') {
+            issues.push({ line: null, severity: 'warning', message: 'File does not end with a TRLR record; it may be truncated' });
+        }
+
+        const notes = new Map();
+        records.filter(record => record.tag === 'NOTE' && record.xref).forEach(record => {
+            notes.set(record.xref, Gedcom.readText(record));
+        });
+
+        const individuals = new Map();
+        const families = new Map();
+        records.forEach(record => {
+            if (record.tag === 'INDI' && record.xref) {
+                individuals.set(record.xref, Gedcom.readIndividual(record, notes, skip, issues));
+            } else if (record.tag === 'FAM' && record.xref) {
+                families.set(record.xref, Gedcom.readFamily(record, individuals, skip));
+            } else if (!['HEAD', 'TRLR', 'SUBM', 'NOTE'].includes(record.tag)) {
+                skip(record.tag, record.line);
+            }
+        });
+
+        const tree = Gedcom.buildTree(individuals, families, issues);
+
+        unsupported.forEach((entry, key) => {
+            const count = entry.count === 1 ? 'once' : `${entry.count} times`;
+            issues.push({
+                line: entry.line,
+                severity: 'warning',
+                message: `${key.replace(/\./g, ' › ')} is not supported and was not imported (${count})`
+            });
+        });
+        issues.sort((a, b) => (a.line || Infinity) - (b.line || Infinity));
+
+        return { tree, issues };
+    }
+
+    static parseLines(text, issues) {
+        const records = [];
+        const stack = [];
+        text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+            const lineNumber = index + 1;
+            if (!raw.trim()) {
+                return;
+            }
+            // Only leading space is dropped: a CONC value may end in a space
+            const match = raw.trimStart().match(/^(\d{1,2})\s+(?:(@[^@\s]+@)\s+)?([A-Za-z0-9_]+)(?: (.*))?$/);
+            if (!match) {
+                issues.push({ line: lineNumber, severity: 'error', message: `Could not read "${raw.trim().slice(0, 40)}"` });
+                return;
+            }
+
+            const level = Number(match[1]);
+            if (level > stack.length) {
+                issues.push({ line: lineNumber, severity: 'error', message: `Level ${level} skips a level; line ignored` });
+                return;
+            }
+            const node = { level, xref: match[2] || null, tag: match[3].toUpperCase(), value: match[4] || '', line: lineNumber, children: [] };
+            stack.length = level;
+            if (level === 0) {
+                records.push(node);
+            } else {
+                stack[level - 1].children.push(node);
+            }
+            stack.push(node);
+        });
+        return records;
+    }
+
+    static readText(node) {
+        return node.children.reduce((text, child) => {
+            if (child.tag === 'CONT') {
+                return `${text}\n${child.value}`;
+            }
+            return child.tag === 'CONC' ? text + child.value : text;
+        }, node.value);
+    }
+
+    static readIndividual(record, notes, skip, issues) {
+        const individual = { xref: record.xref, line: record.line, person: {}, parentFamilies: [] };
+        const person = individual.person;
+
+        record.children.forEach(field => {
+            switch (field.tag) {
+            case 'NAME': {
+                const surname = field.value.match(/\/([^/]*)\//);
+                const name = field.value.replace(/\/[^/]*\/?/, ' ').replace(/\s+/g, ' ').trim() ||
+                    (surname ? surname[1].trim() : '');
+                if (!name) {
+                    break;
+                }
+                if (person.name === undefined) {
+                    person.name = name;
+                    if (surname && surname[1].trim()) {
+                        person.clan = surname[1].trim();
+                    }
+                } else {
+                    person.aliases = [...(person.aliases || []), name];
+                }
+                break;
+            }
+            case 'SEX': {
+                const gender = { M: 'male', F: 'female' }[field.value.trim().toUpperCase()];
+                if (gender) {
+                    person.gender = gender;
+                }
+                break;
+            }
+            case 'BIRT':
+            case 'DEAT': {
+                const dateField = field.tag === 'BIRT' ? 'born' : 'died';
+                field.children.forEach(detail => {
+                    if (detail.tag === 'DATE' && detail.value.trim()) {
+                        person[dateField] = Gedcom.parseDate(detail.value);
+                    } else if (detail.tag === 'PLAC' && field.tag === 'BIRT' && detail.value.trim()) {
+                        // A birthplace stands in for the village unless RESI gives one
+                        person.village = person.village || detail.value.trim();
+                    } else {
+                        skip(`INDI.${field.tag}.${detail.tag}`, detail.line);
+                    }
+                });
+                break;
+            }
+            case 'RESI':
+                field.children.forEach(detail => {
+                    if (detail.tag === 'PLAC' && detail.value.trim()) {
+                        person.village = detail.value.trim();
+                    } else {
+                        skip(`INDI.RESI.${detail.tag}`, detail.line);
+                    }
+                });
+                break;
+            case 'NOTE': {
+                const note = /^@[^@]+@$/.test(field.value.trim()) ? notes.get(field.value.trim()) : Gedcom.readText(field);
+                if (note === undefined) {
+                    issues.push({ line: field.line, severity: 'error', message: `Note ${field.value.trim()} does not exist` });
+                } else if (note.trim()) {
+                    person.notes = person.notes ? `${person.notes}\n\n${note}` : note;
+                }
+                break;
+            }
+            case 'REFN':
+                individual.refn = field.value.trim();
+                break;
+            case 'FAMC':
+            case 'FAMS':
+                // The FAM records are read instead; these only repeat them
+                break;
+            default:
+                skip(`INDI.${field.tag}`, field.line);
+            }
+        });
+
+        if (person.name === undefined) {
+            person.name = 'Unknown';
+            issues.push({ line: record.line, severity: 'warning', message: `${record.xref} has no name; imported as "Unknown"` });
+        }
+        return individual;
+    }
+
+    static readFamily(record, individuals, skip) {
+        const family = { xref: record.xref, line: record.line, husb: null, wife: null, children: [], links: [] };
+        record.children.forEach(field => {
+            if (field.tag === 'HUSB' || field.tag === 'WIFE') {
+                family[field.tag.toLowerCase()] = field.value.trim();
+                family.links.push(field);
+            } else if (field.tag === 'CHIL') {
+                family.children.push(field.value.trim());
+                family.links.push(field);
+            } else {
+                skip(`FAM.${field.tag}`, field.line);
+            }
+        });
+        return family;
+    }
+
+    static buildTree(individuals, families, issues) {
+        if (individuals.size === 0) {
+            throw new GenealogyDataError('File does not contain any individuals (INDI records)');
+        }
+
+        // FAM records may point at people listed further down, so links are checked last
+        families.forEach(family => {
+            family.links.forEach(link => {
+                if (!individuals.has(link.value.trim())) {
+                    issues.push({ line: link.line, severity: 'error', message: `${family.xref} refers to ${link.value.trim()}, which does not exist` });
+                }
+            });
+            family.husb = individuals.get(family.husb) || null;
+            family.wife = individuals.get(family.wife) || null;
+            family.children = family.children.map(xref => individuals.get(xref)).filter(Boolean);
+            family.children.forEach(child => child.parentFamilies.push(family));
+        });
+        individuals.forEach(individual => {
+            if (individual.parentFamilies.length > 1) {
+                issues.push({
+                    line: individual.line,
+                    severity: 'warning',
+                    message: `${individual.person.name} is a child in ${individual.parentFamilies.length} families; only ${individual.parentFamilies[0].xref} was used`
+                });
+            }
+        });
+
+        // The tree follows one parent per family: the partner who has parents of
+        // their own, else the one in more families (someone with several
+        // spouses), else the one with a REFN (this site writes one for everyone
+        // in the tree but not for spouses), else the husband. The other partner
+        // is recorded as a spouse rather than as a person in the tree.
+        const familyCount = new Map();
+        families.forEach(family => {
+            [family.husb, family.wife].filter(Boolean).forEach(partner => {
+                familyCount.set(partner, (familyCount.get(partner) || 0) + 1);
+            });
+        });
+        const rank = (partner) => [partner.parentFamilies.length > 0 ? 1 : 0, familyCount.get(partner), partner.refn ? 1 : 0];
+        const outranks = (a, b) => {
+            const [rankA, rankB] = [rank(a), rank(b)];
+            const index = rankA.findIndex((value, i) => value !== rankB[i]);
+            return index !== -1 && rankA[index] > rankB[index];
+        };
+
+        const lineageFamilies = new Map();
+        const spouseOnly = new Map(); // partner -> the people they are a spouse of
+        families.forEach(family => {
+            const partners = [family.husb, family.wife].filter(Boolean);
+            if (partners.length === 0) {
+                if (family.children.length > 0) {
+                    issues.push({ line: family.line, severity: 'warning', message: `${family.xref} has children but no parents` });
+                }
+                return;
+            }
+            const hasParents = partners.filter(partner => partner.parentFamilies.length > 0);
+            const lineageParent = partners.length === 2 && outranks(partners[1], partners[0]) ? partners[1] : partners[0];
+            const partner = partners.find(other => other !== lineageParent);
+
+            if (!lineageFamilies.has(lineageParent)) {
+                lineageFamilies.set(lineageParent, []);
+            }
+            lineageFamilies.get(lineageParent).push(family);
+            if (partner) {
+                if (hasParents.length === 2) {
+                    issues.push({
+                        line: family.line,
+                        severity: 'warning',
+                        message: `Both partners in ${family.xref} have parents in the file; the children are listed under ${lineageParent.person.name}`
+                    });
+                }
+                lineageParent.spouses = [...(lineageParent.spouses || []), partner];
+                if (partner.parentFamilies.length === 0) {
+                    spouseOnly.set(partner, [...(spouseOnly.get(partner) || []), lineageParent]);
+                }
+            }
+        });
+        lineageFamilies.forEach((_, individual) => spouseOnly.delete(individual));
+        // A spouse entry keeps only name, clan and village; anyone who had more is reported
+        spouseOnly.forEach((lineageParents, partner) => {
+            const dropped = [['refn', 'id'], ['aliases', 'aliases'], ['born', 'birth date'], ['died', 'death date'], ['notes', 'notes']]
+                .filter(([field]) => (field === 'refn' ? partner.refn : partner.person[field]) !== undefined)
+                .map(([, label]) => label);
+            if (dropped.length > 0) {
+                issues.push({
+                    line: partner.line,
+                    severity: 'warning',
+                    message: `${partner.person.name} (${partner.xref}) was imported only as a spouse of ` +
+                        `${lineageParents.map(parent => parent.person.name).join(' and ')}; not kept: ${dropped.join(', ')}`
+                });
+            }
+        });
+
+        // Every family line is imported; several of them become a tree of lineages
+        const roots = [...individuals.values()].filter(individual =>
+            individual.parentFamilies.length === 0 && !spouseOnly.has(individual));
+        const connectedRoots = roots.filter(root => lineageFamilies.has(root));
+        const topAncestors = connectedRoots.length > 0 ? connectedRoots : roots.slice(0, 1);
+        if (topAncestors.length === 0) {
+            throw new GenealogyDataError('Every individual has parents, so the families form a loop');
+        }
+
+        const usedIds = new Set();
+        const placed = new Set();
+        const buildPerson = (individual) => {
+            placed.add(individual);
+            const person = { ...individual.person };
+            if (individual.refn) {
+                if (!PersonRecord.isValidId(individual.refn)) {
+                    issues.push({
+                        line: individual.line,
+                        severity: 'warning',
+                        message: `REFN "${individual.refn}" is not a valid id (only a-z, 0-9 and "-"); a new id was given to ${person.name}`
+                    });
+                } else if (usedIds.has(individual.refn)) {
+                    issues.push({ line: individual.line, severity: 'warning', message: `REFN ${individual.refn} is used twice; a new id was given to ${person.name}` });
+                } else {
+                    person.id = individual.refn;
+                    usedIds.add(individual.refn);
+                }
+            }
+            if (individual.spouses) {
+                person.spouses = individual.spouses.map(Gedcom.toSpouse);
+            }
+            person.children = [];
+            (lineageFamilies.get(individual) || []).forEach(family => {
+                family.children.forEach(child => {
+                    if (placed.has(child)) {
+                        issues.push({ line: family.line, severity: 'error', message: `${child.person.name} would be their own ancestor; link from ${family.xref} ignored` });
+                    } else if (child.parentFamilies[0] === family) {
+                        person.children.push(buildPerson(child));
+                    }
+                });
+            });
+            return person;
+        };
+        const trees = topAncestors.map(buildPerson);
+        const tree = trees.length === 1 ? trees[0] : PersonRecord.forest(trees);
+
+        individuals.forEach(individual => {
+            if (!placed.has(individual) && !spouseOnly.has(individual)) {
+                issues.push({
+                    line: individual.line,
+                    severity: 'warning',
+                    message: `${individual.person.name} (${individual.xref}) is not in any family and was not imported`
+                });
+            }
+        });
+
+        return tree;
+    }
+
+    static toSpouse(individual) {
+        const { name, clan, village } = individual.person;
+        return clan || village ? { name, ...(clan && { clan }), ...(village && { village }) } : name;
+    }
+}
@@ -0,0 +1,105 @@
+// Network graph of the whole tree, drawn with the vendored vis-network library.
+// Clicking a person dims everyone outside their two-step neighbourhood using
+// neighbourhoodHighlight() from lib/bindings/utils.js, which works on the
+// page-level `nodes`, `network` and `nodeColors` variables set up here.
+
+class GraphView {
+    static GENERATION_COLORS = ['#d4a373', '#e9c46a', '#b5c99a', '#9ecae1', '#c9ada7', '#f4a261'];
+
+    constructor(container, rootNode, onSelect) {
+        this.container = container;
+        this.rootNode = rootNode;
+        this.onSelect = onSelect;
+        this.network = null;
+    }
+
+    buildDataSets() {
+        const nodeItems = [];
+        const edgeItems = [];
+        const addPerson = (node, level) => {
+            const background = GraphView.GENERATION_COLORS[level % GraphView.GENERATION_COLORS.length];
+            nodeItems.push({
+                id: node.id,
+                label: node.name,
+                title: `${node.name} · Generation ${level + 1}`,
+                level,
+                color: { background, border: '#8b5e3c', highlight: { background: '#fcd9b6', border: '#8b5e3c' } },
+                font: { color: '#4a3f35', face: 'Georgia' },
+                shape: 'box'
+            });
+            if (node.children) {
+                node.children.forEach(child => {
+                    edgeItems.push({ from: node.id, to: child.id, arrows: 'to' });
+                    addPerson(child, level + 1);
+                });
+            }
+        };
+        // Separate lineages are drawn side by side, unconnected
+        PersonRecord.roots(this.rootNode).forEach(root => addPerson(root, 0));
+
+        return { nodes: new vis.DataSet(nodeItems), edges: new vis.DataSet(edgeItems) };
+    }
+
+    render() {
+        if (this.network) {
+            return;
+        }
+
+        const data = this.buildDataSets();
+        const options = {
+            layout: {
+                hierarchical: {
+                    enabled: true,
+                    direction: 'UD',
+                    sortMethod: 'directed',
+                    levelSeparation: 110,
+                    nodeSpacing: 110
+                }
+            },
+            physics: { enabled: false },
+            edges: { color: { color: '#a67c52' }, smooth: { type: 'cubicBezier', forceDirection: 'vertical' } },
+            interaction: { hover: true, dragNodes: false }
+        };
+        this.network = new vis.Network(this.container, data, options);
+
+        // Globals read by lib/bindings/utils.js
+        window.nodes = data.nodes;
+        window.edges = data.edges;
+        window.network = this.network;
+        window.nodeColors = {};
+        data.nodes.forEach(item => {
+            window.nodeColors[item.id] = item.color;
+        });
+        window.highlightActive = false;
+        window.filterActive = false;
+
+        this.network.on('click', (params) => {
+            neighbourhoodHighlight(params);
+            if (params.nodes.length > 0) {
+                this.onSelect(params.nodes[0]);
+            }
+        });
+    }
+
+    select(nodeId) {
+        if (!this.network || !window.nodes.get(nodeId)) {
+            return;
+        }
+        this.network.selectNodes([nodeId]);
+        neighbourhoodHighlight({ nodes: [nodeId] });
+        this.network.focus(nodeId, { scale: 1, animation: { duration: 500, easingFunction: 'easeInOutQuad' } });
+    }
+
+    destroy() {
+        if (this.network) {
+            this.network.destroy();
+            this.network = null;
+        }
+    }
+
+    fit() {
+        if (this.network) {
+            this.network.fit();
+        }
+    }
+}
@@ -0,0 +1,99 @@
+// Encodes the chart's view state in the URL hash so views can be linked,
+// bookmarked and stepped through with the browser's back/forward buttons.
+//
+//     #/                            full tree
+//     #/focus/<id>                  re-rooted on a person
+//     #/pedigree/<id>               a person's line of ancestors
+//     #/person/<id>                 share link: reveal a person and open their details
+//
+// followed by optional parameters:
+//
+//     ?expanded=<id>,<id>   nodes shown expanded (omitted when only the root is);
+//                           in the pedigree view, ancestors whose other children are shown
+//     &q=<text>             search box contents
+//     &person=<id>          person whose detail panel is open
+//     &view=graph           network graph shown instead of the chart
+//     &mode=free            free display mode: several sibling branches may be expanded
+//     &search=reveal        search hits are revealed in the full tree instead of re-rooting it
+//     &generations=relative cards also count generations from the focused person
+
+class HashRouter {
+    static parse(hash) {
+        const state = { root: null, pedigree: null, expanded: null, query: '', person: null, reveal: false, graph: false, free: false, searchReveal: false, relative: false };
+        const raw = (hash || '').replace(/^#/, '');
+        const [routePath, queryString = ''] = raw.split('?');
+        const segments = routePath.split('/').filter(Boolean).map(HashRouter.decode);
+
+        if (segments[0] === 'focus' && segments[1]) {
+            state.root = segments[1];
+        } else if (segments[0] === 'pedigree' && segments[1]) {
+            state.pedigree = segments[1];
+        } else if (segments[0] === 'person' && segments[1]) {
+            state.person = segments[1];
+            state.reveal = true;
+        }
+
+        const params = new URLSearchParams(queryString);
+        if (params.has('expanded')) {
+            state.expanded = params.get('expanded').split(',').filter(Boolean);
+        }
+        state.query = params.get('q') || '';
+        if (params.has('person')) {
+            state.person = params.get('person');
+        }
+        state.graph = params.get('view') === 'graph';
+        state.free = params.get('mode') === 'free';
+        state.searchReveal = params.get('search') === 'reveal';
+        state.relative = params.get('generations') === 'relative';
+
+        return state;
+    }
+
+    // A truncated link can hold a broken %-escape; that part is ignored, so
+    // the route falls back to the full tree
+    static decode(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static format(state) {
+        let hash = '#/';
+        if (state.pedigree) {
+            hash = `#/pedigree/${encodeURIComponent(state.pedigree)}`;
+        } else if (state.root) {
+            hash = `#/focus/${encodeURIComponent(state.root)}`;
+        }
+
+        const params = [];
+        if (state.expanded) {
+            params.push(`expanded=${state.expanded.map(encodeURIComponent).join(',')}`);
+        }
+        if (state.query) {
+            params.push(`q=${encodeURIComponent(state.query)}`);
+        }
+        if (state.person) {
+            params.push(`person=${encodeURIComponent(state.person)}`);
+        }
+        if (state.graph) {
+            params.push('view=graph');
+        }
+        if (state.free) {
+            params.push('mode=free');
+        }
+        if (state.searchReveal) {
+            params.push('search=reveal');
+        }
+        if (state.relative) {
+            params.push('generations=relative');
+        }
+
+        return params.length > 0 ? `${hash}?${params.join('&')}` : hash;
+    }
+
+    static personLink(nodeId) {
+        return `${window.location.href.split('#')[0]}#/person/${encodeURIComponent(nodeId)}`;
+    }
+}
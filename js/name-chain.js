@@ -0,0 +1,64 @@
+// The Adi naming chain: a child's name begins with the last syllable of the
+// father's name (Tani → Nisi → Sidum → Dumde). In the book the syllable may
+// also lose its first consonant (De → Eyu, Boi → Ingo) or only take the last
+// consonant of a cluster (Jenyu → Yujum, Pengo → Goya), so each of those
+// prefixes counts as following the chain. A child who follows none of them is
+// most likely a transcription error.
+
+class NameChain {
+    static normalize(name) {
+        return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+    }
+
+    // Accepted starts for a child's name, longest first: "pengo" gives ngo, go, o
+    static prefixes(parentName) {
+        const name = NameChain.normalize(parentName);
+        const match = name.match(/([^aeiou]{0,2})([aeiou]+)([^aeiou]*)$/);
+        if (!match) {
+            return [];
+        }
+        const [, onset, vowels, coda] = match;
+        const prefixes = [];
+        for (let start = 0; start <= onset.length; start++) {
+            prefixes.push(onset.slice(start) + vowels + coda);
+        }
+        // Of two vowels side by side only the last may carry over (Kai → Ijum)
+        if (vowels.length > 1) {
+            prefixes.push(vowels.slice(-1) + coda);
+        }
+        return prefixes;
+    }
+
+    // The usual start for a new child's name, e.g. "Ni" after Tani or "Cha" after Yicha
+    static expectedPrefix(parentName) {
+        const name = NameChain.normalize(parentName);
+        const match = name.match(/([^aeiou]h|[^aeiou])?[aeiou]+[^aeiou]*$/);
+        if (!match) {
+            return '';
+        }
+        return match[0].charAt(0).toUpperCase() + match[0].slice(1);
+    }
+
+    // Names without any Latin letters can't be compared and are left alone
+    static follows(parentName, childName) {
+        const child = NameChain.normalize(childName);
+        const prefixes = NameChain.prefixes(parentName);
+        return !child || prefixes.length === 0 || prefixes.some(prefix => child.startsWith(prefix));
+    }
+
+    // Every parent/child pair that breaks the chain, in tree order:
+    // [{ parent, child, expected }]
+    static check(rootNode) {
+        const breaks = [];
+        const walk = (parent) => {
+            (parent.children || []).forEach(child => {
+                if (!NameChain.follows(parent.name, child.name)) {
+                    breaks.push({ parent, child, expected: NameChain.expectedPrefix(parent.name) });
+                }
+                walk(child);
+            });
+        };
+        PersonRecord.roots(rootNode).forEach(walk);
+        return breaks;
+    }
+}
@@ -0,0 +1,127 @@
+// Optional person fields on top of the basic {id, name, children} record:
+//
+//     {
+//         "name": "Yubo",
+//         "aliases": ["Yubu"],              // other spellings, matched by search
+//         "gender": "male",                 // "male" | "female" | "other"
+//         "born": 1890, "died": "c. 1962",  // year, or free text such as "c. 1962"
+//         "village": "Pasighat",
+//         "clan": "Doyom",
+//         "spouses": ["Yamang", { "name": "Opi", "clan": "Tayeng", "village": "Mebo" }],
+//         "notes": "Short biography..."
+//     }
+//
+// Every field is optional, so plain {name, children} files keep working.
+
+class PersonRecord {
+    static GENDERS = ['male', 'female', 'other'];
+    static TEXT_FIELDS = ['village', 'clan', 'notes'];
+
+    static validate(person, where) {
+        if (person.gender !== undefined && !PersonRecord.GENDERS.includes(person.gender)) {
+            throw new GenealogyDataError(`"gender" must be one of ${PersonRecord.GENDERS.join(', ')}`, where);
+        }
+        ['born', 'died'].forEach(field => {
+            const value = person[field];
+            if (value !== undefined && typeof value !== 'number' && typeof value !== 'string') {
+                throw new GenealogyDataError(`"${field}" must be a year or text`, where);
+            }
+        });
+        PersonRecord.TEXT_FIELDS.forEach(field => {
+            if (person[field] !== undefined && typeof person[field] !== 'string') {
+                throw new GenealogyDataError(`"${field}" must be text`, where);
+            }
+        });
+        if (person.aliases !== undefined) {
+            if (!Array.isArray(person.aliases) || person.aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+                throw new GenealogyDataError('"aliases" must be an array of names', where);
+            }
+        }
+        if (person.spouses !== undefined) {
+            if (!Array.isArray(person.spouses)) {
+                throw new GenealogyDataError('"spouses" must be an array', where);
+            }
+            person.spouses.forEach((spouse, index) => {
+                const name = typeof spouse === 'string' ? spouse : spouse && spouse.name;
+                if (typeof name !== 'string' || !name.trim()) {
+                    throw new GenealogyDataError(`spouses[${index}] needs a name`, where);
+                }
+            });
+        }
+    }
+
+    // Several top-level ancestors are held under a placeholder that is not a
+    // person. Its id can't clash with generated ones, which only use a-z, 0-9 and "-"
+    static FOREST_ID = '*';
+
+    static forest(roots) {
+        return { id: PersonRecord.FOREST_ID, name: 'All lineages', isForest: true, children: roots };
+    }
+
+    // The top-level ancestors of a tree, whether it has one or several
+    static roots(tree) {
+        return tree.isForest ? tree.children : [tree];
+    }
+
+    // Ids are generated from the name; callers add -2, -3... to keep them unique
+    static slugify(name) {
+        return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'person';
+    }
+
+    // Ids from a file must have the same form as generated ones, so they are
+    // safe in links and selectors and never clash with the placeholder
+    static isValidId(id) {
+        return typeof id === 'string' && /^[a-z0-9-]+$/.test(id) && id !== PersonRecord.FOREST_ID;
+    }
+
+    static spouses(person) {
+        return (person.spouses || []).map(spouse => (typeof spouse === 'string' ? { name: spouse } : spouse));
+    }
+
+    static lifespan(person) {
+        const hasBorn = person.born !== undefined && person.born !== '';
+        const hasDied = person.died !== undefined && person.died !== '';
+        if (!hasBorn && !hasDied) {
+            return '';
+        }
+        if (hasBorn && !hasDied) {
+            return `b. ${person.born}`;
+        }
+        if (!hasBorn) {
+            return `d. ${person.died}`;
+        }
+        return `${person.born} – ${person.died}`;
+    }
+
+    static place(person) {
+        return [person.village, person.clan ? `${person.clan} clan` : ''].filter(Boolean).join(' · ');
+    }
+
+    // Label/value rows for the detail panel, in display order
+    static detailRows(person) {
+        const rows = [];
+        if (person.aliases && person.aliases.length > 0) {
+            rows.push(['Also known as', person.aliases.join(', ')]);
+        }
+        if (person.gender) {
+            rows.push(['Gender', person.gender.charAt(0).toUpperCase() + person.gender.slice(1)]);
+        }
+        if (person.born !== undefined) {
+            rows.push(['Born', String(person.born)]);
+        }
+        if (person.died !== undefined) {
+            rows.push(['Died', String(person.died)]);
+        }
+        if (person.village) {
+            rows.push(['Village', person.village]);
+        }
+        if (person.clan) {
+            rows.push(['Clan', person.clan]);
+        }
+        PersonRecord.spouses(person).forEach(spouse => {
+            const extra = [spouse.clan, spouse.village].filter(Boolean).join(', ');
+            rows.push(['Spouse', extra ? `${spouse.name} (${extra})` : spouse.name]);
+        });
+        return rows;
+    }
+}
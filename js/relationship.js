@@ -0,0 +1,110 @@
+// Names the relationship between two people from their lines of descent.
+// Both paths run from the top ancestor down to the person (arrays of nodes).
+
+class RelationshipCalculator {
+    static ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+    static compare(pathA, pathB) {
+        let shared = 0;
+        while (shared < pathA.length && shared < pathB.length && pathA[shared].id === pathB[shared].id) {
+            shared++;
+        }
+        if (shared === 0) {
+            return null;
+        }
+
+        const ancestor = pathA[shared - 1];
+        const lineA = pathA.slice(shared - 1);
+        const lineB = pathB.slice(shared - 1);
+        const personB = pathB[pathB.length - 1];
+
+        return {
+            ancestor,
+            lineA,
+            lineB,
+            // Generations from the common ancestor down to each person
+            distanceA: lineA.length - 1,
+            distanceB: lineB.length - 1,
+            label: RelationshipCalculator.label(lineA.length - 1, lineB.length - 1, personB.gender)
+        };
+    }
+
+    // What the second person is to the first, e.g. "first cousin once removed"
+    static label(distanceA, distanceB, gender) {
+        const pick = (male, female, neutral) => {
+            if (gender === 'male') {
+                return male;
+            }
+            if (gender === 'female') {
+                return female;
+            }
+            return neutral;
+        };
+        const greats = (count) => 'great-'.repeat(Math.max(0, count));
+
+        if (distanceA === 0 && distanceB === 0) {
+            return 'the same person';
+        }
+
+        // Direct line: one is the other's ancestor
+        if (distanceA === 0) {
+            if (distanceB === 1) {
+                return pick('son', 'daughter', 'child');
+            }
+            return greats(distanceB - 2) + pick('grandson', 'granddaughter', 'grandchild');
+        }
+        if (distanceB === 0) {
+            if (distanceA === 1) {
+                return pick('father', 'mother', 'parent');
+            }
+            return greats(distanceA - 2) + pick('grandfather', 'grandmother', 'grandparent');
+        }
+
+        if (distanceA === 1 && distanceB === 1) {
+            return pick('brother', 'sister', 'sibling');
+        }
+
+        // A sibling's descendant: nephew, grandnephew, great-grandnephew...
+        if (distanceA === 1) {
+            const prefix = distanceB === 2 ? '' : greats(distanceB - 3) + 'grand';
+            return pick(`${prefix}nephew`, `${prefix}niece`, `${prefix}nephew or ${prefix}niece`);
+        }
+
+        // An ancestor's sibling: uncle, granduncle, great-granduncle...
+        if (distanceB === 1) {
+            const prefix = distanceA === 2 ? '' : greats(distanceA - 3) + 'grand';
+            return pick(`${prefix}uncle`, `${prefix}aunt`, `${prefix}uncle or ${prefix}aunt`);
+        }
+
+        const degree = Math.min(distanceA, distanceB) - 1;
+        const removed = Math.abs(distanceA - distanceB);
+        return `${RelationshipCalculator.ordinal(degree)} cousin${RelationshipCalculator.removedText(removed)}`;
+    }
+
+    static ordinal(n) {
+        if (RelationshipCalculator.ORDINALS[n]) {
+            return RelationshipCalculator.ORDINALS[n];
+        }
+        const lastTwo = n % 100;
+        if (lastTwo >= 11 && lastTwo <= 13) {
+            return `${n}th`;
+        }
+        return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+    }
+
+    static removedText(removed) {
+        if (removed === 0) {
+            return '';
+        }
+        if (removed === 1) {
+            return ' once removed';
+        }
+        if (removed === 2) {
+            return ' twice removed';
+        }
+        if (removed === 3) {
+            return ' thrice removed';
+        }
+        return ` ${removed} times removed`;
+    }
+}
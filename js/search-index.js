@@ -0,0 +1,157 @@
+// Name search tolerant of the inconsistent romanization of Adi names.
+// Each person is indexed under their name and any `aliases`; a query matches
+// exactly, as a prefix or substring, by a phonetic key ("Doyum" ~ "Doyom",
+// "Menbaa" ~ "Menba") or within a small edit distance. Results are ranked by
+// how close the match is, then by generation.
+
+class SearchIndex {
+    constructor(rootNode) {
+        this.entries = [];
+        PersonRecord.roots(rootNode).forEach(root => this.addEntries(root, []));
+    }
+
+    addEntries(node, ancestors) {
+        const path = [...ancestors, node];
+        const variants = [node.name, ...(node.aliases || [])].map((text, index) => ({
+            text,
+            isAlias: index > 0,
+            normalized: SearchIndex.normalize(text),
+            phonetic: SearchIndex.phonetic(text)
+        }));
+        this.entries.push({ node, path, generation: path.length, variants });
+
+        if (node.children) {
+            node.children.forEach(child => this.addEntries(child, path));
+        }
+    }
+
+    static normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    static phonetic(text) {
+        return SearchIndex.normalize(text)
+            .replace(/ph/g, 'f')
+            .replace(/v/g, 'b')
+            .replace(/ck|q|c/g, 'k')
+            .replace(/z/g, 'j')
+            .replace(/u/g, 'o')        // o/u are written interchangeably (Doyom/Doyum)
+            .replace(/(.)\1+/g, '$1')  // doubled letters (Menbaa/Menba)
+            .replace(/h$/, '');        // trailing h (Tanih/Tani)
+    }
+
+    // Optimal string alignment distance: insertions, deletions, substitutions
+    // and swaps of adjacent letters all cost 1
+    static editDistance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+        for (let j = 1; j < cols; j++) {
+            d[0][j] = j;
+        }
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[rows - 1][cols - 1];
+    }
+
+    static maxDistance(length) {
+        if (length <= 3) {
+            return 0;
+        }
+        if (length <= 5) {
+            return 1;
+        }
+        return length <= 8 ? 2 : 3;
+    }
+
+    matchVariant(variant, query, phoneticQuery, maxDistance) {
+        const name = variant.normalized;
+        if (name === query) {
+            return { score: 0, matchType: 'exact' };
+        }
+        if (name.startsWith(query)) {
+            return { score: 1, matchType: 'prefix' };
+        }
+        if (name.includes(query)) {
+            return { score: 2, matchType: 'substring' };
+        }
+        if (variant.phonetic === phoneticQuery) {
+            return { score: 3, matchType: 'phonetic' };
+        }
+        if (phoneticQuery.length >= 3 && variant.phonetic.startsWith(phoneticQuery)) {
+            return { score: 3.5, matchType: 'phonetic' };
+        }
+        if (maxDistance > 0) {
+            const distance = SearchIndex.editDistance(query, name);
+            if (distance <= maxDistance) {
+                return { score: 4 + distance, matchType: 'fuzzy' };
+            }
+            // While typing, compare against the start of longer names too
+            if (name.length > query.length) {
+                const prefixDistance = SearchIndex.editDistance(query, name.slice(0, query.length));
+                if (prefixDistance <= maxDistance) {
+                    return { score: 5 + prefixDistance, matchType: 'fuzzy' };
+                }
+            }
+        }
+        return null;
+    }
+
+    search(query, limit = 50) {
+        const normalizedQuery = SearchIndex.normalize(query);
+        if (!normalizedQuery) {
+            return [];
+        }
+        const phoneticQuery = SearchIndex.phonetic(query);
+        const maxDistance = SearchIndex.maxDistance(normalizedQuery.length);
+        const rawQuery = query.trim().toLowerCase();
+
+        const results = [];
+        this.entries.forEach(entry => {
+            let best = null;
+            entry.variants.forEach(variant => {
+                const match = this.matchVariant(variant, normalizedQuery, phoneticQuery, maxDistance);
+                if (!match) {
+                    return;
+                }
+                // A hit on the real name beats the same hit on an alias
+                const score = match.score + (variant.isAlias ? 0.5 : 0);
+                if (!best || score < best.score) {
+                    best = { ...match, score, variant };
+                }
+            });
+            if (!best) {
+                return;
+            }
+
+            // Highlight the literal match when there is one, else the whole name
+            const start = best.variant.text.toLowerCase().indexOf(rawQuery);
+            const range = start >= 0 && best.matchType !== 'fuzzy' && best.matchType !== 'phonetic'
+                ? [start, start + rawQuery.length]
+                : [0, best.variant.text.length];
+
+            results.push({
+                id: entry.node.id,
+                name: entry.node.name,
+                path: entry.path,
+                level: entry.generation - 1,
+                score: best.score,
+                matchType: best.matchType,
+                matchedText: best.variant.text,
+                isAlias: best.variant.isAlias,
+                range
+            });
+        });
+
+        results.sort((a, b) => a.score - b.score || a.level - b.level || a.name.localeCompare(b.name));
+        return results.slice(0, limit);
+    }
+}
@@ -0,0 +1,298 @@
+// Edits the loaded tree in place: add a child, rename, move a subtree and
+// delete a leaf. Every edit is an operation object that can be reverted, so
+// the editor keeps undo/redo stacks, and the applied operations are saved to
+// localStorage as a change log that is replayed on the next visit. Pass a
+// null storage key for a tree whose edits should not be kept.
+
+class TreeEditor {
+    static STORAGE_KEY = 'genealogyEditLog';
+
+    constructor(rootNode, storageKey = TreeEditor.STORAGE_KEY) {
+        this.root = rootNode;
+        this.storageKey = storageKey;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    findWithParent(id, node = this.root, parent = null) {
+        if (node.id === id) {
+            return { node, parent };
+        }
+        for (const child of node.children || []) {
+            const found = this.findWithParent(id, child, node);
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    }
+
+    isDescendant(ancestor, id) {
+        return (ancestor.children || []).some(child => child.id === id || this.isDescendant(child, id));
+    }
+
+    uniqueId(name) {
+        const used = new Set();
+        const collect = (node) => {
+            used.add(node.id);
+            (node.children || []).forEach(collect);
+        };
+        collect(this.root);
+
+        const base = PersonRecord.slugify(name);
+        let id = base;
+        let suffix = 2;
+        while (used.has(id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    addChild(parentId, name) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new Error('A name is required');
+        }
+        return this.run({ type: 'add', parentId, person: { id: this.uniqueId(trimmed), name: trimmed, children: [] } });
+    }
+
+    rename(id, name) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new Error('A name is required');
+        }
+        return this.run({ type: 'rename', id, from: this.requireNode(id).name, to: trimmed });
+    }
+
+    move(id, newParentId) {
+        const found = this.requireEntry(id);
+        const target = this.requireEntry(newParentId);
+        if (!found.parent) {
+            throw new Error('The top ancestor cannot be moved');
+        }
+        if (id === newParentId) {
+            throw new Error(`${found.node.name} cannot be their own parent`);
+        }
+        if (this.isDescendant(found.node, newParentId)) {
+            throw new Error(`${found.node.name} cannot be moved under their own descendant`);
+        }
+        if (found.parent.id === newParentId) {
+            throw new Error(`${found.node.name} is already a child of ${target.node.name}`);
+        }
+        return this.run({
+            type: 'move',
+            id,
+            fromParentId: found.parent.id,
+            fromIndex: found.parent.children.indexOf(found.node),
+            toParentId: newParentId
+        });
+    }
+
+    deleteLeaf(id) {
+        const found = this.requireEntry(id);
+        if (!found.parent) {
+            throw new Error('The top ancestor cannot be deleted');
+        }
+        if (found.node.children && found.node.children.length > 0) {
+            throw new Error(`${found.node.name} has children; only people without children can be deleted`);
+        }
+        return this.run({
+            type: 'delete',
+            parentId: found.parent.id,
+            index: found.parent.children.indexOf(found.node),
+            person: found.node
+        });
+    }
+
+    run(operation) {
+        this.apply(operation);
+        this.undoStack.push(operation);
+        this.redoStack = [];
+        this.save();
+        return operation;
+    }
+
+    // Each edit first checks that the tree is still as it was when the edit was
+    // made, so a saved log replayed over changed data stops instead of
+    // duplicating or misplacing people
+    apply(operation) {
+        switch (operation.type) {
+        case 'add': {
+            if (this.findWithParent(operation.person.id)) {
+                throw new Error(`Someone with id "${operation.person.id}" is already in the tree`);
+            }
+            const parent = this.requireNode(operation.parentId);
+            parent.children = parent.children || [];
+            parent.children.push({ ...operation.person, children: [...operation.person.children] });
+            break;
+        }
+        case 'rename': {
+            const person = this.requireNode(operation.id);
+            if (person.name !== operation.from) {
+                throw new Error(`Expected "${operation.id}" to be named ${operation.from}, not ${person.name}`);
+            }
+            person.name = operation.to;
+            break;
+        }
+        case 'move': {
+            const { node: person, parent: from } = this.requireEntry(operation.id);
+            if (!from || from.id !== operation.fromParentId) {
+                throw new Error(`Expected "${operation.id}" to be a child of "${operation.fromParentId}"`);
+            }
+            this.requireNode(operation.toParentId);
+            from.children.splice(from.children.indexOf(person), 1);
+            const to = this.requireNode(operation.toParentId);
+            to.children = to.children || [];
+            to.children.push(person);
+            break;
+        }
+        case 'delete': {
+            const { node: person, parent } = this.requireEntry(operation.person.id);
+            if (!parent || parent.id !== operation.parentId) {
+                throw new Error(`Expected "${operation.person.id}" to be a child of "${operation.parentId}"`);
+            }
+            parent.children.splice(parent.children.indexOf(person), 1);
+            break;
+        }
+        default:
+            throw new Error(`Unknown edit "${operation.type}"`);
+        }
+    }
+
+    revert(operation) {
+        switch (operation.type) {
+        case 'add': {
+            const parent = this.requireNode(operation.parentId);
+            parent.children = parent.children.filter(child => child.id !== operation.person.id);
+            break;
+        }
+        case 'rename':
+            this.requireNode(operation.id).name = operation.from;
+            break;
+        case 'move': {
+            const to = this.requireNode(operation.toParentId);
+            const person = this.requireNode(operation.id);
+            to.children.splice(to.children.indexOf(person), 1);
+            this.requireNode(operation.fromParentId).children.splice(operation.fromIndex, 0, person);
+            break;
+        }
+        case 'delete':
+            this.requireNode(operation.parentId).children.splice(operation.index, 0, operation.person);
+            break;
+        default:
+            throw new Error(`Unknown edit "${operation.type}"`);
+        }
+    }
+
+    requireEntry(id) {
+        const found = this.findWithParent(id);
+        if (!found) {
+            throw new Error(`No person with id "${id}"`);
+        }
+        return found;
+    }
+
+    requireNode(id) {
+        return this.requireEntry(id).node;
+    }
+
+    undo() {
+        const operation = this.undoStack.pop();
+        if (operation) {
+            this.revert(operation);
+            this.redoStack.push(operation);
+            this.save();
+        }
+        return operation;
+    }
+
+    redo() {
+        const operation = this.redoStack.pop();
+        if (operation) {
+            this.apply(operation);
+            this.undoStack.push(operation);
+            this.save();
+        }
+        return operation;
+    }
+
+    describe(operation) {
+        switch (operation.type) {
+        case 'add':
+            return `Added ${operation.person.name}`;
+        case 'rename':
+            return `Renamed ${operation.from} to ${operation.to}`;
+        case 'move':
+            return `Moved ${this.nameOf(operation.id)} under ${this.nameOf(operation.toParentId)}`;
+        case 'delete':
+            return `Deleted ${operation.person.name}`;
+        default:
+            return operation.type;
+        }
+    }
+
+    nameOf(id) {
+        const found = this.findWithParent(id);
+        return found ? found.node.name : id;
+    }
+
+    save() {
+        if (!this.storageKey) {
+            return;
+        }
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.undoStack));
+        } catch (error) {
+            console.warn('Could not save the edit log:', error);
+        }
+    }
+
+    // Re-applies the saved change log; stops at the first edit that no longer
+    // fits the data (for example after the published files changed)
+    restore() {
+        let saved = [];
+        if (!this.storageKey) {
+            return 0;
+        }
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.warn('Ignoring an unreadable edit log:', error);
+        }
+
+        for (const operation of saved) {
+            try {
+                this.apply(operation);
+                this.undoStack.push(operation);
+            } catch (error) {
+                console.warn('Stopped replaying saved edits:', error);
+                break;
+            }
+        }
+        this.save();
+        return this.undoStack.length;
+    }
+
+    discardAll() {
+        while (this.undoStack.length > 0) {
+            this.revert(this.undoStack.pop());
+        }
+        this.redoStack = [];
+        this.save();
+    }
+
+    // The tree in the same JSON shape the site loads, without display state
+    toJson() {
+        const clean = (node) => {
+            const { isHidden, children, ...person } = node;
+            const result = { ...person };
+            if (children) {
+                result.children = children.map(clean);
+            }
+            return result;
+        };
+        // Several lineages are written as a list of top-level ancestors, as convert.py does
+        const tree = this.root.isForest ? this.root.children.map(clean) : clean(this.root);
+        return JSON.stringify(tree, null, 4);
+    }
+}
@@ -0,0 +1,63 @@
+// Lookups over the whole tree computed in one pass, so rendering never has to
+// walk the tree: each person's node, parent, depth (0 for the top ancestor) and
+// total number of descendants, keyed by id. Rebuild it whenever the tree changes.
+//
+// In a tree of several lineages the top ancestors' parent is the placeholder
+// that holds them (depth -1), and paths start at the top ancestor.
+
+class TreeIndex {
+    constructor(rootNode) {
+        this.root = rootNode;
+        this.entries = new Map();
+        this.addEntry(rootNode, null, rootNode.isForest ? -1 : 0);
+    }
+
+    addEntry(node, parent, depth) {
+        const entry = { node, parent, depth, descendants: 0 };
+        this.entries.set(node.id, entry);
+        (node.children || []).forEach(child => {
+            entry.descendants += 1 + this.addEntry(child, node, depth + 1).descendants;
+        });
+        return entry;
+    }
+
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    node(id) {
+        const entry = this.entries.get(id);
+        return entry ? entry.node : null;
+    }
+
+    parent(id) {
+        const entry = this.entries.get(id);
+        return entry ? entry.parent : null;
+    }
+
+    depth(id) {
+        return this.entries.get(id).depth;
+    }
+
+    descendantCount(id) {
+        return this.entries.get(id).descendants;
+    }
+
+    // Everyone at one depth across all branches, in tree order
+    atDepth(depth) {
+        return [...this.entries.values()].filter(entry => entry.depth === depth).map(entry => entry.node);
+    }
+
+    // Ids from the top ancestor down to the person, or null for an unknown id
+    // (empty for the placeholder above several lineages)
+    path(id) {
+        if (!this.entries.has(id)) {
+            return null;
+        }
+        const path = [];
+        for (let node = this.node(id); node && !node.isForest; node = this.parent(node.id)) {
+            path.unshift(node.id);
+        }
+        return path;
+    }
+}
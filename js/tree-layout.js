@@ -0,0 +1,75 @@
+// Positions equal-width cards as a tree: every subtree is given the width of
+// its widest row of descendants, children sit side by side beneath their
+// parent, and the parent is centered over them. Each generation's row is as
+// tall as its tallest card.
+//
+// layout() returns one item per placed person:
+//
+//     { node, level, x, y, height, parent, children }   x/y are the card's top-left corner
+//
+// plus the overall width and height and each row's top and height. getChildren
+// decides which children are shown, so the same layout serves collapsed
+// branches and partial trees.
+
+class TreeLayout {
+    constructor({ nodeWidth = 170, nodeHeight = 84, siblingGap = 20, levelGap = 60 } = {}) {
+        this.nodeWidth = nodeWidth;
+        this.nodeHeight = nodeHeight;
+        this.siblingGap = siblingGap;
+        this.levelGap = levelGap;
+    }
+
+    layout(rootNode, getChildren, getHeight = () => this.nodeHeight) {
+        const levelHeights = [];
+        const measure = (node, level, parent) => {
+            const item = { node, level, parent, x: 0, y: 0, height: getHeight(node), children: [] };
+            levelHeights[level] = Math.max(levelHeights[level] || 0, item.height);
+            item.children = getChildren(node).map(child => measure(child, level + 1, item));
+            const childrenWidth = item.children.reduce((sum, child) => sum + child.width, 0) +
+                this.siblingGap * Math.max(0, item.children.length - 1);
+            item.width = Math.max(this.nodeWidth, childrenWidth);
+            item.childrenWidth = childrenWidth;
+            return item;
+        };
+
+        const root = measure(rootNode, 0, null);
+        const levelTops = [];
+        levelHeights.forEach((height, level) => {
+            levelTops[level] = level === 0 ? 0 : levelTops[level - 1] + levelHeights[level - 1] + this.levelGap;
+        });
+
+        const items = [];
+        const place = (item, left) => {
+            item.x = left + (item.width - this.nodeWidth) / 2;
+            item.y = levelTops[item.level];
+            items.push(item);
+
+            let childLeft = left + (item.width - item.childrenWidth) / 2;
+            item.children.forEach(child => {
+                place(child, childLeft);
+                childLeft += child.width + this.siblingGap;
+            });
+        };
+
+        place(root, 0);
+
+        const lastLevel = levelHeights.length - 1;
+        return {
+            root,
+            items,
+            levelTops,
+            levelHeights,
+            width: root.width,
+            height: levelTops[lastLevel] + levelHeights[lastLevel]
+        };
+    }
+
+    // Elbow from the bottom of a parent's card to the top of a child's card
+    connectorPath(parent, child) {
+        const fromX = parent.x + this.nodeWidth / 2;
+        const fromY = parent.y + parent.height;
+        const toX = child.x + this.nodeWidth / 2;
+        const midY = child.y - this.levelGap / 2;
+        return `M ${fromX} ${fromY} V ${midY} H ${toX} V ${child.y}`;
+    }
+}
@@ -0,0 +1,99 @@
+// Figures about the lineage as a whole, always computed from the full tree:
+// people and childless people per generation, the largest families, the
+// longest lines of descent, the branches with the most descendants and the
+// names shared by more than one person.
+
+class TreeStats {
+    static TOP = 10;
+
+    constructor(rootNode, index) {
+        this.index = index;
+        this.people = [];
+        const walk = (node) => {
+            this.people.push(node);
+            (node.children || []).forEach(walk);
+        };
+        PersonRecord.roots(rootNode).forEach(walk);
+    }
+
+    static childCount(node) {
+        return node.children ? node.children.length : 0;
+    }
+
+    // Names are compared ignoring case and extra spaces, as typed in the book
+    static nameKey(name) {
+        return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    totals() {
+        const leaves = this.people.filter(node => TreeStats.childCount(node) === 0).length;
+        return {
+            people: this.people.length,
+            lineages: this.people.filter(node => this.index.depth(node.id) === 0).length,
+            generations: Math.max(...this.people.map(node => this.index.depth(node.id))) + 1,
+            leaves
+        };
+    }
+
+    // [{ generation, people, leaves }], generation 1 being the top ancestor
+    generations() {
+        const rows = [];
+        this.people.forEach(node => {
+            const depth = this.index.depth(node.id);
+            rows[depth] = rows[depth] || { generation: depth + 1, people: 0, leaves: 0 };
+            rows[depth].people++;
+            if (TreeStats.childCount(node) === 0) {
+                rows[depth].leaves++;
+            }
+        });
+        return rows;
+    }
+
+    // Sorting is stable, so ties keep the order of the book
+    top(score, limit = TreeStats.TOP) {
+        return this.people
+            .map(node => ({ node, value: score(node) }))
+            .filter(row => row.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .slice(0, limit);
+    }
+
+    largestFamilies() {
+        return this.top(node => TreeStats.childCount(node));
+    }
+
+    // A branch is where a family splits: people with brothers or sisters. Counting
+    // everyone would only list the single line at the top of the tree
+    biggestBranches() {
+        return this.top(node => {
+            const parent = this.index.parent(node.id);
+            return parent && !parent.isForest && TreeStats.childCount(parent) > 1 ? this.index.descendantCount(node.id) : 0;
+        });
+    }
+
+    // Childless people furthest from the top ancestor, each with their line
+    longestLines() {
+        return this.top(node => (TreeStats.childCount(node) === 0 ? this.index.depth(node.id) + 1 : 0))
+            .map(row => ({ ...row, path: this.index.path(row.node.id).map(id => this.index.node(id)) }));
+    }
+
+    // [{ name, people }] for every name held by more than one person, most common first
+    commonNames(limit = TreeStats.TOP) {
+        const groups = new Map();
+        this.people.forEach(node => {
+            const key = TreeStats.nameKey(node.name);
+            if (!groups.has(key)) {
+                groups.set(key, { name: node.name.trim(), people: [] });
+            }
+            groups.get(key).people.push(node);
+        });
+        return [...groups.values()]
+            .filter(group => group.people.length > 1)
+            .sort((a, b) => b.people.length - a.people.length)
+            .slice(0, limit);
+    }
+
+    duplicateNameCount() {
+        return this.commonNames(Infinity).length;
+    }
+}
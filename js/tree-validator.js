@@ -0,0 +1,161 @@
+// Lint checks for a genealogy tree, run before publishing and from the editor.
+// The loader only rejects files the site cannot read at all; this also finds
+// data that loads but is probably wrong:
+//
+//     errors    loops (a person inside their own branch), people listed twice,
+//               empty names, "children" that is not an array, duplicate ids or
+//               ids the site rejects, lines deeper than maxDepth
+//     warnings  missing "children", two children of one parent with the same
+//               name, stray whitespace, unusual capitalization, digits in names,
+//               and childless people named like a direct ancestor (where
+//               convert.py cuts a loop in the spreadsheet)
+//
+// validate() takes one root or an array of roots and returns
+// { people, issues: [{ severity, path, id, name, parent, message }] }.
+// The file also loads in Node, for scripts/validate_data.js.
+
+class TreeValidator {
+    static MAX_DEPTH = 60;
+
+    constructor({ maxDepth = TreeValidator.MAX_DEPTH } = {}) {
+        this.maxDepth = maxDepth;
+    }
+
+    validate(roots) {
+        const list = Array.isArray(roots) ? roots : [roots];
+        this.issues = [];
+        this.people = 0;
+        this.seen = new Set();
+        this.ids = new Map();
+
+        list.forEach((root, index) => {
+            this.checkPerson(root, list.length > 1 ? `[${index}]` : '(root)', []);
+        });
+        return { people: this.people, issues: this.issues };
+    }
+
+    report(severity, path, person, ancestors, message) {
+        const parent = ancestors[ancestors.length - 1];
+        this.issues.push({
+            severity,
+            path,
+            id: person && typeof person.id === 'string' ? person.id : null,
+            name: person && typeof person.name === 'string' ? person.name : '',
+            parent: parent ? parent.name : null,
+            message
+        });
+    }
+
+    checkPerson(person, path, ancestors) {
+        if (!person || typeof person !== 'object' || Array.isArray(person)) {
+            this.report('error', path, null, ancestors, 'Expected a person object');
+            return;
+        }
+        if (ancestors.includes(person)) {
+            this.report('error', path, person, ancestors, 'Loop: this person is listed inside their own branch');
+            return;
+        }
+        if (this.seen.has(person)) {
+            this.report('error', path, person, ancestors, 'The same person is listed in two places');
+            return;
+        }
+        this.seen.add(person);
+        this.people++;
+
+        this.checkName(person, path, ancestors);
+        if (person.id !== undefined && (typeof person.id !== 'string' || !/^[a-z0-9-]+$/.test(person.id))) {
+            this.report('error', path, person, ancestors, 'Ids may only use lowercase letters, digits and "-"');
+        } else if (typeof person.id === 'string') {
+            if (this.ids.has(person.id)) {
+                this.report('error', path, person, ancestors, `Duplicate id "${person.id}" (also at ${this.ids.get(person.id)})`);
+            } else {
+                this.ids.set(person.id, path);
+            }
+        }
+
+        if (ancestors.length >= this.maxDepth) {
+            this.report('error', path, person, ancestors,
+                `More than ${this.maxDepth} generations deep; the rest of this line was not checked`);
+            return;
+        }
+
+        if (person.children === undefined) {
+            this.report('warning', path, person, ancestors, 'No "children" array (use [] for people without children)');
+            this.checkCutLoop(person, path, ancestors);
+            return;
+        }
+        if (!Array.isArray(person.children)) {
+            this.report('error', path, person, ancestors, '"children" must be an array');
+            return;
+        }
+        if (person.children.length === 0) {
+            this.checkCutLoop(person, path, ancestors);
+        }
+
+        const names = new Map();
+        person.children.forEach((child, index) => {
+            const key = child && typeof child.name === 'string' ? TreeValidator.nameKey(child.name) : '';
+            if (key && names.has(key)) {
+                this.report('warning', `${path}.children[${index}]`, child, [...ancestors, person],
+                    `${person.name} has two children named ${child.name} (also children[${names.get(key)}])`);
+            } else if (key) {
+                names.set(key, index);
+            }
+        });
+
+        person.children.forEach((child, index) => {
+            this.checkPerson(child, `${path}.children[${index}]`, [...ancestors, person]);
+        });
+    }
+
+    checkName(person, path, ancestors) {
+        const name = person.name;
+        if (typeof name !== 'string' || !name.trim()) {
+            this.report('error', path, person, ancestors, 'Empty name');
+            return;
+        }
+        if (name !== name.trim() || /\s{2,}|[^\S ]/.test(name)) {
+            this.report('warning', path, person, ancestors, `Stray whitespace in "${name}"`);
+        }
+        if (/\d/.test(name)) {
+            this.report('warning', path, person, ancestors, `Digits in "${name}" (numbered duplicates from the spreadsheet?)`);
+        }
+        const words = name.trim().split(/[\s-]+/).filter(word => /\p{L}/u.test(word));
+        if (words.some(word => word[0] !== word[0].toUpperCase() || (word.length > 1 && word === word.toUpperCase()))) {
+            this.report('warning', path, person, ancestors, `Unusual capitalization in "${name}"`);
+        }
+    }
+
+    // convert.py ends a loop in the spreadsheet by repeating the name as a childless person
+    checkCutLoop(person, path, ancestors) {
+        const key = TreeValidator.nameKey(person.name);
+        const index = ancestors.findIndex(ancestor => ancestor && TreeValidator.nameKey(ancestor.name) === key);
+        if (key && index !== -1) {
+            const generations = ancestors.length - index;
+            this.report('warning', path, person, ancestors,
+                `Same name as their ancestor ${generations} generation${generations !== 1 ? 's' : ''} up and no children: possibly a loop cut by convert.py`);
+        }
+    }
+
+    static nameKey(name) {
+        return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Plain-text report, errors first
+    static format(result) {
+        const errors = result.issues.filter(issue => issue.severity === 'error');
+        const warnings = result.issues.filter(issue => issue.severity === 'warning');
+        const lines = [`${result.people} people checked: ${errors.length} error${errors.length !== 1 ? 's' : ''}, ` +
+            `${warnings.length} warning${warnings.length !== 1 ? 's' : ''}`];
+        [...errors, ...warnings].forEach(issue => {
+            const who = issue.name ? `${issue.name}${issue.parent ? ` (child of ${issue.parent})` : ''}` : '';
+            // Ids are much shorter than JSON paths, which only files without ids need
+            lines.push(`${issue.severity.padEnd(7)} ${issue.id || issue.path}${who ? ` ${who}` : ''}: ${issue.message}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TreeValidator;
+}
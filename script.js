@@ -7,37 +7,104 @@ class GenealogyTree {
         this.collapsedNodes = new Set(); // Track which nodes are collapsed
         this.isSearchView = false; // Track if we're in search view
         this.currentNodePath = []; // Track the path to current node for navigation
+        this.openPersonId = null; // Person shown in the detail panel
+        this.isRestoringState = false; // Suppress URL updates while applying a URL
+        this.lastHash = null; // Last hash written or applied, to skip duplicate events
+        this.personLabels = new Map(); // Picker label -> person id
+        this.viewMode = 'descendants'; // 'descendants' org chart or 'pedigree' ancestor view
+        this.pedigreePersonId = null; // Person at the bottom of the pedigree view
+        this.pedigreeExpanded = new Set(); // Ancestors whose other children are shown
+        this.index = null; // Parents, depths and descendant counts by id, built once the data is loaded
+        this.searchIndex = null; // Fuzzy/phonetic name index, built once the data is loaded
+        this.suggestions = []; // Typeahead results under the search box
+        this.activeSuggestion = -1; // Index of the keyboard-selected suggestion
+        this.graphView = null; // vis-network graph, created the first time it is shown
+        this.isGraphView = false; // Graph shown in place of the org chart
+        this.editor = null; // Applies, undoes and logs edits to the tree
+        this.isEditMode = false; // Cards show edit actions
+        this.movingPersonId = null; // Person waiting for a new parent to be clicked
+        this.displayMode = 'focus'; // 'focus' keeps one branch open per family, 'free' allows any
+        this.searchMode = 'focus'; // 'focus' re-roots the chart on a search hit, 'reveal' opens it in the full tree
+        this.showRelativeGenerations = false; // Cards also count generations from the focused person
+        this.viewport = null; // Pan/zoom window the chart is rendered into
+        this.focusedId = null; // Card holding the chart's single tab stop
+        this.chainBreaks = new Map(); // Child id -> break in the Adi naming chain
         this.init();
     }
 
     async init() {
         try {
             await this.loadData();
+            this.viewport = new ChartViewport(document.getElementById('treeContainer'), () => this.getSelectedCard());
+            this.updateRootPicker();
             this.initializeCollapsedState(); // Set all nodes to collapsed by default
             this.renderTree();
             this.setupEventListeners();
+            this.applyViewState(HashRouter.parse(window.location.hash));
         } catch (error) {
             console.error('Error initializing genealogy tree:', error);
-            this.showError('Failed to load genealogy data. Please make sure the server is running.');
+            if (error instanceof GenealogyDataError) {
+                this.showError(`Failed to load genealogy data. ${error.message}`);
+            } else {
+                this.showError('Failed to load genealogy data. Please make sure the server is running.');
+            }
         }
     }
 
     async loadData() {
         try {
-            // const response = await fetch('/geneology.json');
-            // if (!response.ok) {
-            //     throw new Error(`HTTP error! status: ${response.status}`);
-            // }
-            // Use the local geneology_json variable instead of fetching from file
-            this.originalData = GenealogyData.data;
+            // Fetches the files listed in data/manifest.json, falling back to
+            // the embedded copy in data/embedded-data.js when fetch is unavailable
+            const loader = new GenealogyDataLoader('data/manifest.json');
+            this.originalData = await loader.load();
+            this.assignPersonIds(this.originalData);
+
+            // Re-apply edits saved in this browser before anything is indexed
+            this.editor = new TreeEditor(this.originalData);
+            this.editor.restore();
+
             this.addIsHiddenProperty(this.originalData);
             this.data = this.originalData;
+            this.index = new TreeIndex(this.originalData);
+            this.searchIndex = new SearchIndex(this.originalData);
+            this.buildChainBreaks();
         } catch (error) {
             console.error('Error loading data:', error);
             throw error;
         }
     }
 
+    assignPersonIds(rootNode) {
+        // Data files carry a stable `id` per person; fill in any that are missing
+        // so that duplicate names never share collapse state or navigation paths
+        const usedIds = new Set();
+        const collectIds = (node) => {
+            if (node.id) {
+                usedIds.add(node.id);
+            }
+            if (node.children) {
+                node.children.forEach(child => collectIds(child));
+            }
+        };
+        const fillIds = (node) => {
+            if (!node.id) {
+                const base = PersonRecord.slugify(node.name);
+                let id = base;
+                let suffix = 2;
+                while (usedIds.has(id)) {
+                    id = `${base}-${suffix++}`;
+                }
+                node.id = id;
+                usedIds.add(id);
+            }
+            if (node.children) {
+                node.children.forEach(child => fillIds(child));
+            }
+        };
+        collectIds(rootNode);
+        fillIds(rootNode);
+    }
+
     addIsHiddenProperty(node) {
         node.isHidden = false;
         if (node.children) {
@@ -54,7 +121,7 @@ class GenealogyTree {
         if (node.children && node.children.length > 0) {
             // Don't collapse the root node - keep its children visible by default
             if (!isRoot) {
-                this.collapsedNodes.add(node.name);
+                this.collapsedNodes.add(node.id);
                 node.isHidden = false;
             }
             node.children.forEach(child => {
@@ -63,83 +130,42 @@ class GenealogyTree {
         }
     }
 
-    findNodeByName(rootNode, targetName) {
-        if (rootNode.name.toLowerCase() === targetName.toLowerCase()) {
-            return rootNode;
-        }
-
-        if (rootNode.children) {
-            for (let child of rootNode.children) {
-                const found = this.findNodeByName(child, targetName);
-                if (found) {
-                    return found;
-                }
-            }
-        }
-
-        return null;
-    }
-
-    findNodeWithPath(rootNode, targetName, currentPath = []) {
-        const newPath = [...currentPath, rootNode.name];
-
-        if (rootNode.name.toLowerCase() === targetName.toLowerCase()) {
-            return { node: rootNode, path: newPath };
+    findNodesByName(rootNode, targetName, results = []) {
+        if (!rootNode.isForest && rootNode.name.toLowerCase() === targetName.toLowerCase()) {
+            results.push(rootNode);
         }
 
         if (rootNode.children) {
-            for (let child of rootNode.children) {
-                const found = this.findNodeWithPath(child, targetName, newPath);
-                if (found) {
-                    return found;
-                }
-            }
+            rootNode.children.forEach(child => this.findNodesByName(child, targetName, results));
         }
 
-        return null;
+        return results;
     }
 
-    findParentNode(rootNode, targetName) {
-        if (rootNode.children) {
-            for (let child of rootNode.children) {
-                if (child.name.toLowerCase() === targetName.toLowerCase()) {
-                    return rootNode;
-                }
-                const found = this.findParentNode(child, targetName);
-                if (found) {
-                    return found;
-                }
-            }
-        }
-        return null;
+    findNodeWithPath(targetId) {
+        const path = this.index.path(targetId);
+        return path ? { node: this.index.node(targetId), path } : null;
     }
 
-    countTotalDescendants(node) {
-        if (!node.children || node.children.length === 0) {
-            return 0;
-        }
-
-        let totalCount = node.children.length;
-        for (let child of node.children) {
-            totalCount += this.countTotalDescendants(child);
-        }
-
-        return totalCount;
+    // Parent within the chart being shown, so null for the person it is rooted on
+    findParentNode(nodeId) {
+        return nodeId === this.data.id ? null : this.index.parent(nodeId);
     }
 
-    reorganizeTreeForSearch(targetName) {
-        const foundResult = this.findNodeWithPath(this.originalData, targetName);
+    reorganizeTreeForSearch(targetId) {
+        const foundResult = this.findNodeWithPath(targetId);
         if (foundResult) {
             const foundNode = foundResult.node;
             const path = foundResult.path;
 
             // Create a new root node with the found person as the root
             this.data = {
-                name: foundNode.name,
+                ...foundNode,
                 children: foundNode.children || []
             };
             this.isSearchView = true;
             this.currentNodePath = path;
+            this.viewMode = 'descendants';
 
             // Reset collapsed state for the new tree
             this.collapsedNodes.clear();
@@ -155,16 +181,34 @@ class GenealogyTree {
 
             // Re-render the tree
             this.renderTree();
+            const count = this.index.descendantCount(foundNode.id);
+            this.announce(`Showing ${foundNode.name} and ${count} descendant${count !== 1 ? 's' : ''}`);
 
             // Show navigation buttons
             this.showNavigationButtons();
 
+            this.updateUrl(true);
+
             return true;
         }
         return false;
     }
 
     returnToOriginalView() {
+        this.resetToFullTree();
+
+        // Re-render the tree
+        this.renderTree();
+        this.announce(this.data.isForest ? 'Showing all lineages' : `Showing the full tree from ${this.data.name}`);
+
+        // Hide navigation buttons
+        this.hideNavigationButtons();
+
+        this.updateUrl(true);
+    }
+
+    resetToFullTree() {
+        this.viewMode = 'descendants';
         this.data = this.originalData;
         this.isSearchView = false;
         this.currentNodePath = [];
@@ -180,213 +224,2076 @@ class GenealogyTree {
         }
         setAllIsHiddenFalse(this.data);
         this.initializeCollapsedState();
+    }
 
-        // Re-render the tree
+    revealInTree(nodeId) {
+        const foundResult = this.findNodeWithPath(nodeId);
+        if (!foundResult) {
+            return false;
+        }
+
+        // Show the full tree with only this person's line of ancestors expanded
+        this.resetToFullTree();
+        foundResult.path.slice(0, -1).forEach(ancestorId => {
+            this.expandNode(ancestorId);
+        });
+
+        this.renderTree();
+        this.announce(`Showing ${foundResult.node.name} in the full tree`);
+        this.hideNavigationButtons();
+        this.updateUrl(true);
+
+        setTimeout(() => {
+            const nodeBox = document.querySelector(`.node-box[data-id="${CSS.escape(nodeId)}"]`);
+            if (nodeBox) {
+                this.highlightOrgNode(nodeBox);
+            }
+        }, 100);
+
+        return true;
+    }
+
+    navigateUpOneGeneration() {
+        if (this.currentNodePath.length <= 1) {
+            // Already at the top, return to original view
+            this.returnToOriginalView();
+            return;
+        }
+
+        // Get the parent node id (second to last in path)
+        const parentId = this.currentNodePath[this.currentNodePath.length - 2];
+
+        // Reorganize to show the parent as root
+        this.reorganizeTreeForSearch(parentId);
+    }
+
+
+    renderTree() {
+        const container = this.viewport.stage;
+        // Rebuilding replaces every card, so keyboard focus is moved to the new copy of its card
+        const focused = container.contains(document.activeElement) ? document.activeElement : null;
+        const focusedCard = focused ? focused.closest('[data-id]') : null;
+        container.innerHTML = '';
+
+        if (this.viewMode === 'pedigree') {
+            container.appendChild(this.createPedigreeChart(this.pedigreePersonId));
+            this.updateGenerationRuler(this.measurePedigreeRows());
+        } else if (this.data) {
+            const orgChart = this.createOrgChart(this.data);
+            container.appendChild(orgChart);
+            // Cards are positioned once they are in the page and can be measured
+            this.layoutOrgChart(orgChart, this.data);
+            this.updateTabStop();
+        }
+        this.viewport.update();
+        this.syncRootPicker();
+
+        if (focusedCard) {
+            const card = container.querySelector(`[data-id="${CSS.escape(focusedCard.dataset.id)}"]`);
+            const target = card && focused.classList.length > 0 ? card.querySelector(`.${focused.classList[0]}`) : null;
+            if (target) {
+                target.focus({ preventScroll: true });
+            }
+        }
+    }
+
+    // Brings the descendant chart up to date after branches were opened or closed,
+    // without rebuilding it: cards that stay keep their elements (and with them
+    // keyboard focus), only newly shown people get cards, and the chart is moved
+    // so the card at anchorId stays where it was on screen.
+    updateTree(anchorId) {
+        const orgChart = this.viewport.stage.querySelector('.tree-layout');
+        if (this.viewMode === 'pedigree' || !orgChart || orgChart.dataset.rootId !== this.data.id) {
+            this.renderTree();
+            return;
+        }
+
+        const anchor = orgChart.querySelector(`.org-node[data-id="${CSS.escape(anchorId)}"]`);
+        const anchorBefore = anchor ? anchor.getBoundingClientRect() : null;
+
+        const staleCards = new Map();
+        orgChart.querySelectorAll('.org-node').forEach(card => staleCards.set(card.dataset.id, card));
+
+        // Surviving cards are already in preorder, so new ones go right after the card before them
+        let previous = orgChart.querySelector('.org-connectors');
+        const addNode = (node, level) => {
+            let card = staleCards.get(node.id);
+            if (card) {
+                staleCards.delete(node.id);
+                this.updateTreeItem(card.querySelector('.node-box'), node);
+            } else {
+                card = this.createOrgNode(node, level);
+                previous.after(card);
+            }
+            previous = card;
+            this.visibleChildren(node).forEach(child => addNode(child, level + 1));
+        };
+        addNode(this.data, 0);
+        staleCards.forEach(card => card.remove());
+        this.updateTabStop();
+
+        this.layoutOrgChart(orgChart, this.data);
+        if (anchorBefore && anchor.isConnected) {
+            const anchorAfter = anchor.getBoundingClientRect();
+            this.viewport.panBy(anchorBefore.left - anchorAfter.left, anchorBefore.top - anchorAfter.top);
+        }
+        this.viewport.update();
+    }
+
+    // Lists the top-level ancestors; only shown when the data has several
+    updateRootPicker() {
+        const picker = document.getElementById('rootPicker');
+        const roots = PersonRecord.roots(this.originalData);
+        picker.closest('.root-picker').hidden = roots.length < 2;
+        picker.innerHTML = '';
+        picker.appendChild(new Option(`All lineages (${roots.length})`, ''));
+        roots.forEach(root => {
+            const people = this.index.descendantCount(root.id) + 1;
+            picker.appendChild(new Option(`${root.name} (${people} people)`, root.id));
+        });
+        this.syncRootPicker();
+    }
+
+    // Shows the lineage the chart is currently in
+    syncRootPicker() {
+        const shownId = this.viewMode === 'pedigree' ? this.pedigreePersonId : this.data.id;
+        const path = this.index.path(shownId) || [];
+        document.getElementById('rootPicker').value = path.length > 0 && this.originalData.isForest ? path[0] : '';
+    }
+
+    getSelectedCard() {
+        let selectedId = this.openPersonId;
+        if (!selectedId) {
+            selectedId = this.viewMode === 'pedigree' ? this.pedigreePersonId : this.data.id;
+        }
+        return this.viewport.stage.querySelector(`.node-box[data-id="${CSS.escape(selectedId)}"]`);
+    }
+
+    showPedigree(nodeId) {
+        if (!this.index.node(nodeId)) {
+            return false;
+        }
+
+        this.viewMode = 'pedigree';
+        this.pedigreePersonId = nodeId;
+        this.pedigreeExpanded.clear();
+        this.renderTree();
+
+        // Only "Back to Full Tree" makes sense here; the line already shows every parent
+        this.showNavigationButtons();
+        document.getElementById('upBtn').style.display = 'none';
+
+        this.updateUrl(true);
+        return true;
+    }
+
+    togglePedigreeSiblings(ancestorId) {
+        if (this.pedigreeExpanded.has(ancestorId)) {
+            this.pedigreeExpanded.delete(ancestorId);
+        } else {
+            this.pedigreeExpanded.add(ancestorId);
+        }
         this.renderTree();
+        this.updateUrl(false);
+    }
+
+    createPedigreeChart(nodeId) {
+        // The selected person sits at the bottom with their direct line stacked above
+        const line = this.getPersonPath(nodeId);
+        const chartDiv = document.createElement('div');
+        chartDiv.className = 'org-chart pedigree-chart';
+
+        line.forEach((node, index) => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'pedigree-row';
+
+            const isSelected = index === line.length - 1;
+            rowDiv.appendChild(this.createPedigreeCard(node, isSelected));
+
+            if (!isSelected) {
+                const nextInLine = line[index + 1];
+                const otherChildren = node.children.filter(child => child.id !== nextInLine.id);
+                if (otherChildren.length > 0) {
+                    rowDiv.appendChild(this.createPedigreeSiblings(node, otherChildren));
+                }
+            }
+
+            chartDiv.appendChild(rowDiv);
+        });
+
+        return chartDiv;
+    }
+
+    // Pedigree rows grow with their open sibling lists, so they are measured once in the page
+    measurePedigreeRows() {
+        const stageRect = this.viewport.stage.getBoundingClientRect();
+        const line = this.getPersonPath(this.pedigreePersonId);
+        return [...this.viewport.stage.querySelectorAll('.pedigree-row')].map((row, index) => {
+            const rect = row.getBoundingClientRect();
+            return {
+                top: (rect.top - stageRect.top) / this.viewport.scale,
+                height: rect.height / this.viewport.scale,
+                node: line[index]
+            };
+        });
+    }
+
+    createPedigreeCard(node, isSelected) {
+        const nodeBox = document.createElement('div');
+        nodeBox.className = 'node-box';
+        nodeBox.setAttribute('data-id', node.id);
+        if (isSelected) {
+            nodeBox.classList.add('pedigree-selected');
+        }
+
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'node-name';
+        nameDiv.textContent = node.name;
+        nodeBox.appendChild(nameDiv);
+
+        const lifespan = PersonRecord.lifespan(node);
+        if (lifespan) {
+            const datesDiv = document.createElement('div');
+            datesDiv.className = 'node-dates';
+            datesDiv.textContent = lifespan;
+            nodeBox.appendChild(datesDiv);
+        }
+
+        const titleDiv = document.createElement('div');
+        titleDiv.className = 'node-title';
+        titleDiv.textContent = this.generationLabel(node.id);
+        nodeBox.appendChild(titleDiv);
+
+        nodeBox.addEventListener('click', () => {
+            this.showPersonDetails(node.id);
+        });
+
+        return nodeBox;
+    }
+
+    createPedigreeSiblings(ancestor, otherChildren) {
+        const sideDiv = document.createElement('div');
+        sideDiv.className = 'pedigree-side';
+
+        const isExpanded = this.pedigreeExpanded.has(ancestor.id);
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'pedigree-toggle';
+        if (isExpanded) {
+            toggleBtn.classList.add('expanded');
+        }
+        const childCount = `${otherChildren.length} other child${otherChildren.length !== 1 ? 'ren' : ''}`;
+        toggleBtn.textContent = isExpanded ? `− Hide ${childCount}` : `+ ${childCount}`;
+        toggleBtn.addEventListener('click', () => {
+            this.togglePedigreeSiblings(ancestor.id);
+        });
+        sideDiv.appendChild(toggleBtn);
+
+        if (isExpanded) {
+            const list = document.createElement('div');
+            list.className = 'pedigree-siblings';
+            otherChildren.forEach(child => {
+                const childBox = document.createElement('div');
+                childBox.className = 'node-box pedigree-sibling';
+                childBox.setAttribute('data-id', child.id);
+
+                const nameDiv = document.createElement('div');
+                nameDiv.className = 'node-name';
+                nameDiv.textContent = child.name;
+                childBox.appendChild(nameDiv);
+
+                const totalDescendants = this.index.descendantCount(child.id);
+                const descendantsCountDiv = document.createElement('div');
+                descendantsCountDiv.className = 'children-count';
+                descendantsCountDiv.textContent = `${totalDescendants} descendant${totalDescendants !== 1 ? 's' : ''}`;
+                childBox.appendChild(descendantsCountDiv);
+
+                childBox.addEventListener('click', () => {
+                    this.showPersonDetails(child.id);
+                });
+                list.appendChild(childBox);
+            });
+            sideDiv.appendChild(list);
+        }
+
+        return sideDiv;
+    }
+
+    createOrgChart(rootNode) {
+        const orgChartDiv = document.createElement('div');
+        orgChartDiv.className = 'org-chart tree-layout';
+        orgChartDiv.dataset.rootId = rootNode.id;
+        orgChartDiv.setAttribute('role', 'tree');
+        orgChartDiv.setAttribute('aria-label', `${rootNode.isForest ? rootNode.name : `Descendants of ${rootNode.name}`}. Arrow keys move between people, Enter opens or closes a branch, R shows a person's own tree.`);
+
+        // Parent-child lines are drawn on an SVG layer underneath the cards
+        const connectors = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        connectors.setAttribute('class', 'org-connectors');
+        connectors.setAttribute('aria-hidden', 'true');
+        orgChartDiv.appendChild(connectors);
+
+        const addNode = (node, level) => {
+            orgChartDiv.appendChild(this.createOrgNode(node, level));
+            this.visibleChildren(node).forEach(child => addNode(child, level + 1));
+        };
+        addNode(rootNode, 0);
+
+        return orgChartDiv;
+    }
+
+    visibleChildren(node) {
+        if (!node.children || this.collapsedNodes.has(node.id)) {
+            return [];
+        }
+        return node.children.filter(child => !child.isHidden);
+    }
+
+    layoutOrgChart(orgChartDiv, rootNode) {
+        const cards = new Map();
+        orgChartDiv.querySelectorAll('.org-node').forEach(card => {
+            cards.set(card.dataset.id, card);
+        });
+
+        // Card width comes from the stylesheet, so it can change with the screen size
+        const treeLayout = new TreeLayout({ siblingGap: 24, levelGap: 50 });
+        treeLayout.nodeWidth = Math.max(...[...cards.values()].map(card => card.offsetWidth)) || treeLayout.nodeWidth;
+        const layout = treeLayout.layout(
+            rootNode,
+            node => this.visibleChildren(node),
+            node => cards.get(node.id).offsetHeight || treeLayout.nodeHeight
+        );
+
+        layout.items.forEach(item => {
+            const card = cards.get(item.node.id);
+            card.style.left = `${item.x}px`;
+            card.style.top = `${item.y}px`;
+        });
+        orgChartDiv.style.width = `${layout.width}px`;
+        orgChartDiv.style.height = `${layout.height}px`;
+
+        // Every card in a row is the same generation, so the row's first card names it
+        const chartTop = (orgChartDiv.getBoundingClientRect().top - this.viewport.stage.getBoundingClientRect().top) / this.viewport.scale;
+        this.updateGenerationRuler(layout.levelTops.map((top, level) => ({
+            top: chartTop + top,
+            height: layout.levelHeights[level],
+            node: layout.items.find(item => item.level === level).node
+        })));
+
+        const connectors = orgChartDiv.querySelector('.org-connectors');
+        connectors.setAttribute('width', layout.width);
+        connectors.setAttribute('height', layout.height);
+        connectors.replaceChildren();
+        layout.items.forEach(item => {
+            item.children.forEach(child => {
+                const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+                path.setAttribute('class', 'org-connector');
+                path.setAttribute('d', treeLayout.connectorPath(item, child));
+                connectors.appendChild(path);
+            });
+        });
+    }
+
+    // The parts of a card that change as branches open and close
+    updateTreeItem(nodeBox, node) {
+        const toggleBtn = nodeBox.querySelector('.toggle-btn');
+        if (toggleBtn) {
+            const isCollapsed = this.collapsedNodes.has(node.id);
+            toggleBtn.textContent = isCollapsed ? '+' : '−';
+            toggleBtn.classList.toggle('expanded', !isCollapsed);
+            toggleBtn.setAttribute('aria-label', `${isCollapsed ? 'Expand' : 'Collapse'} ${node.name}`);
+            nodeBox.setAttribute('aria-expanded', String(!isCollapsed));
+        }
+
+        const parent = this.findParentNode(node.id);
+        const siblings = parent ? this.visibleChildren(parent) : [node];
+        nodeBox.setAttribute('aria-setsize', siblings.length);
+        nodeBox.setAttribute('aria-posinset', siblings.indexOf(node) + 1);
+    }
+
+    // Roving focus: the chart is a single tab stop, on the card last focused,
+    // or on the top card when that one isn't shown
+    updateTabStop() {
+        const chart = this.viewport.stage.querySelector('.tree-layout');
+        if (!chart) {
+            return;
+        }
+        const stop = chart.querySelector(`.node-box[data-id="${CSS.escape(this.focusedId)}"]`) || chart.querySelector('.node-box');
+        chart.querySelectorAll('.node-box[tabindex="0"]').forEach(box => {
+            box.tabIndex = -1;
+        });
+        stop.tabIndex = 0;
+    }
+
+    focusTreeItem(nodeId) {
+        const nodeBox = nodeId && this.viewport.stage.querySelector(`.tree-layout .node-box[data-id="${CSS.escape(nodeId)}"]`);
+        if (nodeBox) {
+            nodeBox.focus({ preventScroll: true });
+            this.viewport.keepInView(nodeBox);
+        }
+    }
+
+    // Arrow keys follow the chart: up to the parent, down to the first child,
+    // left and right to the siblings
+    handleTreeKey(e, node) {
+        const parent = this.findParentNode(node.id);
+        const siblings = parent ? this.visibleChildren(parent) : [node];
+        const position = siblings.indexOf(node);
+        const hasChildren = node.children && node.children.length > 0;
+
+        switch (e.key) {
+            case 'ArrowUp':
+                this.focusTreeItem(parent && parent.id);
+                break;
+            case 'ArrowDown': {
+                const [firstChild] = this.visibleChildren(node);
+                this.focusTreeItem(firstChild && firstChild.id);
+                break;
+            }
+            case 'ArrowLeft':
+                this.focusTreeItem(position > 0 ? siblings[position - 1].id : null);
+                break;
+            case 'ArrowRight':
+                this.focusTreeItem(position < siblings.length - 1 ? siblings[position + 1].id : null);
+                break;
+            case 'Home':
+                this.focusTreeItem(this.data.id);
+                break;
+            case 'Enter':
+                if (hasChildren) {
+                    this.toggleOrgNode(node.id);
+                } else {
+                    this.showPersonDetails(node.id);
+                }
+                break;
+            case ' ':
+                this.showPersonDetails(node.id);
+                break;
+            case 'r':
+            case 'R':
+                if (node.id !== this.data.id) {
+                    this.reorganizeTreeForSearch(node.id);
+                }
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    announce(message) {
+        // Cleared first so that the same message is read out again when repeated
+        const announcer = document.getElementById('treeAnnouncer');
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 100);
+    }
+
+    // Generations are counted from the top ancestor of the whole tree, so a
+    // person keeps their number however the chart is rooted
+    generationOf(nodeId) {
+        return this.index.depth(nodeId) + 1;
+    }
+
+    // The person relative generations count from: the re-rooted or pedigree person
+    generationFocusId() {
+        if (this.viewMode === 'pedigree') {
+            return this.pedigreePersonId;
+        }
+        return this.isSearchView ? this.data.id : null;
+    }
+
+    // "+3 from Yubo", or '' when relative labels are off or don't apply
+    relativeGeneration(nodeId) {
+        const focusId = this.generationFocusId();
+        if (!this.showRelativeGenerations || !focusId || focusId === nodeId) {
+            return '';
+        }
+        const offset = this.index.depth(nodeId) - this.index.depth(focusId);
+        return `${offset > 0 ? '+' : '−'}${Math.abs(offset)} from ${this.index.node(focusId).name}`;
+    }
+
+    generationLabel(nodeId) {
+        const relative = this.relativeGeneration(nodeId);
+        return `Generation ${this.generationOf(nodeId)}${relative ? ` · ${relative}` : ''}`;
+    }
+
+    // Ruler marks for the chart's rows; the row of the "All lineages" card has none
+    updateGenerationRuler(rows) {
+        this.viewport.setRuler(rows.filter(row => !row.node.isForest).map(row => {
+            const relative = this.relativeGeneration(row.node.id);
+            return {
+                top: row.top,
+                height: row.height,
+                label: `Gen ${this.generationOf(row.node.id)}`,
+                detail: relative ? relative.split(' ')[0] : '',
+                title: this.generationLabel(row.node.id)
+            };
+        }));
+    }
+
+    createOrgNode(node, level) {
+        const nodeDiv = document.createElement('div');
+        nodeDiv.className = 'org-node';
+        nodeDiv.setAttribute('data-level', level);
+        nodeDiv.setAttribute('data-id', node.id);
+        nodeDiv.setAttribute('role', 'none');
+
+        const hasChildren = node.children && node.children.length > 0;
+
+        // Create the node box
+        const nodeBox = document.createElement('div');
+        nodeBox.className = 'node-box';
+        nodeBox.setAttribute('data-id', node.id);
+        nodeBox.setAttribute('role', 'treeitem');
+        nodeBox.setAttribute('aria-level', level + 1);
+        nodeBox.tabIndex = -1;
+        if (node.gender) {
+            nodeBox.classList.add(`gender-${node.gender}`);
+        }
+        if (node.isForest) {
+            nodeBox.classList.add('forest-node');
+        }
+
+        // Toggle button
+        if (hasChildren) {
+            const toggleBtn = document.createElement('button');
+            toggleBtn.className = 'toggle-btn';
+            // Enter on the card does the same, so the button is not a tab stop of its own
+            toggleBtn.tabIndex = -1;
+            toggleBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleOrgNode(node.id);
+            });
+            nodeBox.appendChild(toggleBtn);
+        }
+        this.updateTreeItem(nodeBox, node);
+
+        // Node name
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'node-name';
+        nameDiv.textContent = node.name;
+        nodeBox.appendChild(nameDiv);
+
+        const chainBreak = this.chainBreaks.get(node.id);
+        if (chainBreak) {
+            const badge = document.createElement('div');
+            badge.className = 'chain-badge';
+            badge.textContent = '⚠ Name chain';
+            badge.title = `${chainBreak.parent.name}'s children's names usually start with "${chainBreak.expected}"`;
+            nodeBox.appendChild(badge);
+        }
+
+        // Key facts from the extended person record, when the data has them
+        const lifespan = PersonRecord.lifespan(node);
+        if (lifespan) {
+            const datesDiv = document.createElement('div');
+            datesDiv.className = 'node-dates';
+            datesDiv.textContent = lifespan;
+            nodeBox.appendChild(datesDiv);
+        }
+
+        const place = PersonRecord.place(node);
+        if (place) {
+            const placeDiv = document.createElement('div');
+            placeDiv.className = 'node-place';
+            placeDiv.textContent = place;
+            nodeBox.appendChild(placeDiv);
+        }
+
+        const spouses = PersonRecord.spouses(node);
+        if (spouses.length > 0) {
+            const spouseDiv = document.createElement('div');
+            spouseDiv.className = 'node-spouse';
+            spouseDiv.textContent = `m. ${spouses.map(spouse => spouse.name).join(', ')}`;
+            nodeBox.appendChild(spouseDiv);
+        }
+
+        // Node title (generation level); the card above several lineages counts them instead
+        const titleDiv = document.createElement('div');
+        titleDiv.className = 'node-title';
+        titleDiv.textContent = node.isForest ? `${node.children.length} lineages` : this.generationLabel(node.id);
+        nodeBox.appendChild(titleDiv);
+
+        // Total descendants count
+        const descendantsCountDiv = document.createElement('div');
+        descendantsCountDiv.className = 'children-count';
+        const totalDescendants = this.index.descendantCount(node.id);
+        descendantsCountDiv.textContent = node.isForest
+            ? `${totalDescendants} people`
+            : `${totalDescendants} descendant${totalDescendants !== 1 ? 's' : ''}`;
+        nodeBox.appendChild(descendantsCountDiv);
+        nodeBox.setAttribute('aria-label', [node.name, lifespan, titleDiv.textContent, descendantsCountDiv.textContent,
+            chainBreak ? 'breaks the naming chain' : ''].filter(Boolean).join(', '));
+
+        // Clicking a card opens the detail panel; re-rooting is one of its actions
+        if (this.displayMode === 'free' && hasChildren) {
+            nodeBox.appendChild(this.createBranchMenu(node));
+        }
+
+        if (this.isEditMode && !node.isForest) {
+            nodeBox.appendChild(this.createEditActions(node, level));
+            if (this.movingPersonId === node.id) {
+                nodeBox.classList.add('moving');
+            }
+        }
+
+        nodeBox.addEventListener('click', (e) => {
+            // Don't open the panel if clicking on the toggle button
+            if (e.target.classList.contains('toggle-btn')) {
+                return;
+            }
+            // While moving someone, the next card clicked becomes their new parent
+            if (this.movingPersonId) {
+                this.completeMove(node.id);
+                return;
+            }
+            this.showPersonDetails(node.id);
+        });
+
+        nodeBox.addEventListener('focus', () => {
+            this.focusedId = node.id;
+            this.updateTabStop();
+        });
+        nodeBox.addEventListener('keydown', (e) => {
+            // Keys typed into the branch menu or edit buttons are theirs
+            if (e.target === nodeBox) {
+                this.handleTreeKey(e, node);
+            }
+        });
+
+        nodeDiv.appendChild(nodeBox);
+
+        return nodeDiv;
+    }
+
+    createEditActions(node, level) {
+        const actions = document.createElement('div');
+        actions.className = 'edit-actions';
+
+        const isRoot = node.id === this.originalData.id;
+        const hasChildren = node.children && node.children.length > 0;
+        const buttons = [
+            ['+ Child', () => this.editAddChild(node.id), true],
+            ['Rename', () => this.editRename(node.id), true],
+            ['Move', () => this.startMove(node.id), !isRoot],
+            ['Delete', () => this.editDelete(node.id), !isRoot && !hasChildren]
+        ];
+        buttons.forEach(([label, handler, enabled]) => {
+            const button = document.createElement('button');
+            button.className = 'edit-btn';
+            button.textContent = label;
+            button.disabled = !enabled;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            actions.appendChild(button);
+        });
+
+        return actions;
+    }
+
+    toggleEditMode() {
+        this.isEditMode = !this.isEditMode;
+        this.movingPersonId = null;
+        document.body.classList.toggle('edit-mode', this.isEditMode);
+        document.getElementById('editToolBtn').textContent = this.isEditMode ? 'Done Editing' : 'Edit';
+        document.getElementById('editToolbar').classList.toggle('show', this.isEditMode);
+        if (!this.isEditMode) {
+            document.getElementById('dataCheckTool').classList.remove('show');
+        }
+        this.updateEditToolbar();
+        this.renderTree();
+    }
+
+    runEdit(edit) {
+        try {
+            const operation = edit();
+            this.refreshAfterEdit(this.editor.describe(operation));
+            return operation;
+        } catch (error) {
+            console.error('Edit failed:', error);
+            this.setEditStatus(error.message, true);
+            return null;
+        }
+    }
+
+    editAddChild(parentId) {
+        const parent = this.index.node(parentId);
+        // Adi names continue the father's last syllable, so the prompt starts with it
+        const prefix = NameChain.expectedPrefix(parent.name);
+        const question = prefix
+            ? `Name of the new child of ${parent.name} (names after ${parent.name} usually start with "${prefix}"):`
+            : `Name of the new child of ${parent.name}:`;
+        const name = window.prompt(question, prefix);
+        if (name === null) {
+            return;
+        }
+        // Expand the parent so the new child is visible
+        this.collapsedNodes.delete(parentId);
+        this.runEdit(() => this.editor.addChild(parentId, name));
+    }
+
+    editRename(nodeId) {
+        const person = this.index.node(nodeId);
+        const name = window.prompt(`Rename ${person.name} to:`, person.name);
+        if (name === null || name.trim() === person.name) {
+            return;
+        }
+        this.runEdit(() => this.editor.rename(nodeId, name));
+    }
+
+    startMove(nodeId) {
+        this.movingPersonId = nodeId;
+        const person = this.index.node(nodeId);
+        this.setEditStatus(`Click the new parent for ${person.name}. Press Esc to cancel.`);
+        this.renderTree();
+    }
+
+    cancelMove() {
+        if (this.movingPersonId) {
+            this.movingPersonId = null;
+            this.updateEditToolbar();
+            this.renderTree();
+        }
+    }
+
+    completeMove(newParentId) {
+        const personId = this.movingPersonId;
+        this.movingPersonId = null;
+        this.collapsedNodes.delete(newParentId);
+        if (!this.runEdit(() => this.editor.move(personId, newParentId))) {
+            // Clear the pending-move highlight; the status shows why it failed
+            this.renderTree();
+        }
+    }
+
+    editDelete(nodeId) {
+        const person = this.index.node(nodeId);
+        if (window.confirm(`Delete ${person.name}? You can undo this.`)) {
+            if (this.openPersonId === nodeId) {
+                this.hidePersonDetails();
+            }
+            this.runEdit(() => this.editor.deleteLeaf(nodeId));
+        }
+    }
+
+    undoEdit() {
+        const operation = this.editor.undo();
+        if (operation) {
+            this.refreshAfterEdit(`Undid: ${this.editor.describe(operation)}`);
+        }
+    }
+
+    redoEdit() {
+        const operation = this.editor.redo();
+        if (operation) {
+            this.refreshAfterEdit(`Redid: ${this.editor.describe(operation)}`);
+        }
+    }
+
+    discardEdits() {
+        if (window.confirm('Discard every edit made in this browser?')) {
+            this.editor.discardAll();
+            this.refreshAfterEdit('All edits discarded');
+        }
+    }
+
+    exportTree() {
+        this.downloadFile(new Blob([this.editor.toJson()], { type: 'application/json' }), 'geneology.json');
+    }
+
+    // The same checks as scripts/validate_data.js, on the tree as edited so far
+    showDataCheck() {
+        const result = new TreeValidator().validate(PersonRecord.roots(this.originalData));
+        const report = document.getElementById('dataCheckReport');
+        report.innerHTML = '';
+
+        const errors = result.issues.filter(issue => issue.severity === 'error').length;
+        const warnings = result.issues.length - errors;
+        const summary = document.createElement('p');
+        summary.className = 'gedcom-summary';
+        summary.textContent = result.issues.length === 0
+            ? `${result.people} people checked: no problems found.`
+            : `${result.people} people checked: ${errors} error${errors !== 1 ? 's' : ''}, ${warnings} warning${warnings !== 1 ? 's' : ''}.`;
+        report.appendChild(summary);
+
+        if (result.issues.length === 0) {
+            return;
+        }
+        const filter = document.createElement('label');
+        filter.className = 'data-check-filter';
+        filter.innerHTML = '<input type="checkbox" /> Errors only';
+        report.appendChild(filter);
+
+        const list = document.createElement('ul');
+        list.className = 'gedcom-issues data-check-issues';
+        // Errors first, in tree order within each group
+        [...result.issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1)).forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `gedcom-issue ${issue.severity}`;
+            if (issue.id && this.index.has(issue.id)) {
+                const person = document.createElement('button');
+                person.className = 'data-check-person';
+                person.textContent = issue.parent ? `${issue.name} (child of ${issue.parent})` : issue.name;
+                person.title = 'Show in the chart';
+                person.addEventListener('click', () => this.jumpToPerson(issue.id));
+                item.append(person, ': ');
+            } else if (issue.name) {
+                item.append(`${issue.name}: `);
+            }
+            item.append(issue.message);
+            list.appendChild(item);
+        });
+        report.appendChild(list);
+
+        filter.querySelector('input').addEventListener('change', (e) => {
+            list.classList.toggle('errors-only', e.target.checked);
+        });
+    }
+
+    downloadFile(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    rebuildDerivedData() {
+        // Names, ids and shape may all have changed, so rebuild everything derived from the data
+        this.addIsHiddenProperty(this.originalData);
+        this.index = new TreeIndex(this.originalData);
+        this.searchIndex = new SearchIndex(this.originalData);
+        this.buildChainBreaks();
+        this.buildPersonLabels();
+        this.updateRootPicker();
+        if (document.getElementById('statsTool').classList.contains('show')) {
+            this.showStatistics();
+        }
+        if (document.getElementById('dataCheckTool').classList.contains('show')) {
+            this.showDataCheck();
+        }
+        if (document.getElementById('nameChainTool').classList.contains('show')) {
+            this.showNameChainReport();
+        }
+        if (document.getElementById('generationTool').classList.contains('show')) {
+            this.showGenerationBrowser();
+        }
+        if (this.graphView) {
+            this.graphView.destroy();
+            this.graphView = null;
+        }
+    }
+
+    refreshAfterEdit(message) {
+        this.rebuildDerivedData();
+
+        if (this.viewMode === 'pedigree' && !this.index.node(this.pedigreePersonId)) {
+            this.resetToFullTree();
+        }
+        if (this.isSearchView) {
+            const foundResult = this.findNodeWithPath(this.data.id);
+            if (foundResult) {
+                // Keep the re-rooted view and its expanded branches
+                this.data = { ...foundResult.node, children: foundResult.node.children || [] };
+                this.currentNodePath = foundResult.path;
+                this.showNavigationButtons();
+            } else {
+                this.resetToFullTree();
+                this.hideNavigationButtons();
+            }
+        }
+        if (this.openPersonId) {
+            if (this.index.node(this.openPersonId)) {
+                this.showPersonDetails(this.openPersonId);
+            } else {
+                this.hidePersonDetails();
+            }
+        }
+
+        this.renderTree();
+        if (this.isGraphView) {
+            this.showGraphView();
+        }
+        this.updateEditToolbar(message);
+    }
+
+    setEditStatus(message, isError = false) {
+        const status = document.getElementById('editStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    updateEditToolbar(message = '') {
+        const editCount = this.editor.undoStack.length;
+        document.getElementById('undoBtn').disabled = editCount === 0;
+        document.getElementById('redoBtn').disabled = this.editor.redoStack.length === 0;
+        document.getElementById('discardEditsBtn').disabled = editCount === 0;
+        this.setEditStatus(message || `${editCount} local edit${editCount !== 1 ? 's' : ''}`);
+
+        // Newest first, so the last change is at the top of the log
+        const log = document.getElementById('editLog');
+        log.innerHTML = '';
+        [...this.editor.undoStack].reverse().forEach(operation => {
+            const item = document.createElement('li');
+            item.textContent = this.editor.describe(operation);
+            log.appendChild(item);
+        });
+        document.getElementById('editLogCount').textContent = editCount;
+    }
+
+    exportGedcom() {
+        this.downloadFile(new Blob([Gedcom.write(this.originalData)], { type: 'text/plain' }), 'doyom-family.ged');
+    }
+
+    async importGedcom(file) {
+        document.getElementById('gedcomTool').classList.add('show');
+        let result;
+        try {
+            result = Gedcom.read(await file.text());
+        } catch (error) {
+            console.error('GEDCOM import failed:', error);
+            this.showGedcomReport(`Could not import ${file.name}. ${error.message}`, []);
+            return;
+        }
+
+        this.replaceTree(result.tree);
+        let count = 0;
+        const countPeople = (node) => {
+            count++;
+            node.children.forEach(countPeople);
+        };
+        PersonRecord.roots(result.tree).forEach(countPeople);
+        this.showGedcomReport(
+            `Imported ${count} ${count === 1 ? 'person' : 'people'} from ${file.name}. ` +
+            'The imported tree is shown until the page is reloaded; use Edit › Export JSON to keep it.',
+            result.issues
+        );
+    }
+
+    showGedcomReport(summary, issues) {
+        const report = document.getElementById('gedcomReport');
+        report.innerHTML = '';
+
+        const summaryLine = document.createElement('p');
+        summaryLine.className = 'gedcom-summary';
+        summaryLine.textContent = summary;
+        report.appendChild(summaryLine);
+
+        if (issues.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'gedcom-issues';
+            issues.forEach(issue => {
+                const item = document.createElement('li');
+                item.className = `gedcom-issue ${issue.severity}`;
+                item.textContent = `${issue.line ? `Line ${issue.line}: ` : ''}${issue.message}`;
+                list.appendChild(item);
+            });
+            report.appendChild(list);
+        }
+    }
+
+    replaceTree(rootNode) {
+        this.assignPersonIds(rootNode);
+        this.originalData = rootNode;
+        // Edits to an imported tree are not saved over the published tree's change log
+        this.editor = new TreeEditor(rootNode, null);
+        this.rebuildDerivedData();
+
+        this.hidePersonDetails();
+        this.resetToFullTree();
+        this.initializeCollapsedState();
+        this.hideNavigationButtons();
+        this.renderTree();
+        if (this.isGraphView) {
+            this.showGraphView();
+        }
+        if (this.isEditMode) {
+            this.updateEditToolbar();
+        }
+        this.updateUrl(true);
+    }
+
+    getDisplayedTree() {
+        // The people on screen as a tree, with the children each one currently shows
+        if (this.viewMode === 'pedigree') {
+            const line = this.getPersonPath(this.pedigreePersonId);
+            const lineIds = new Set(line.map(node => node.id));
+            return {
+                root: line[0],
+                getChildren: (node) => {
+                    if (!lineIds.has(node.id) || node.id === this.pedigreePersonId) {
+                        return [];
+                    }
+                    return node.children.filter(child => lineIds.has(child.id) || this.pedigreeExpanded.has(node.id));
+                }
+            };
+        }
+        return { root: this.data, getChildren: node => this.visibleChildren(node) };
+    }
+
+    async exportChart(format) {
+        const status = document.getElementById('chartExportStatus');
+        const { root, getChildren } = this.getDisplayedTree();
+        let title = 'Doyom Family Genealogy Tree';
+        if (this.viewMode === 'pedigree') {
+            title = `Ancestors of ${this.index.node(this.pedigreePersonId).name}`;
+        } else if (this.isSearchView) {
+            title = `Descendants of ${this.data.name}`;
+        }
+        const exporter = new ChartExporter(root, getChildren, {
+            title,
+            highlightId: this.viewMode === 'pedigree' ? this.pedigreePersonId : this.openPersonId,
+            cardLines: (node) => {
+                const totalDescendants = this.index.descendantCount(node.id);
+                if (node.isForest) {
+                    return [node.name, `${node.children.length} lineages · ${totalDescendants} people`];
+                }
+                return [
+                    node.name,
+                    PersonRecord.lifespan(node),
+                    PersonRecord.place(node),
+                    `${this.generationLabel(node.id)} · ${totalDescendants} descendant${totalDescendants !== 1 ? 's' : ''}`
+                ].filter(Boolean);
+            }
+        });
+        const filename = this.viewMode === 'pedigree'
+            ? `ancestors-of-${this.pedigreePersonId}`
+            : `genealogy-${this.isSearchView ? this.data.id : 'full-tree'}`;
+        const size = `${Math.round(exporter.width)} × ${Math.round(exporter.height)} px`;
+
+        status.textContent = 'Preparing the chart…';
+        try {
+            if (format === 'svg') {
+                this.downloadFile(new Blob([exporter.toSvg()], { type: 'image/svg+xml' }), `${filename}.svg`);
+                status.textContent = `Saved ${filename}.svg (${size})`;
+            } else if (format === 'png') {
+                const { blob, scale } = await exporter.toPng();
+                this.downloadFile(blob, `${filename}.png`);
+                status.textContent = scale < 2
+                    ? `Saved ${filename}.png at ${Math.round(scale * 100)}% scale to stay within the browser's image size limit; use SVG or PDF for full detail`
+                    : `Saved ${filename}.png (${size} at double resolution)`;
+            } else {
+                const pageSize = document.getElementById('pdfPageSize').value;
+                const { blob, pageCount } = await exporter.toPdf(pageSize);
+                const pages = `${pageCount} ${pageSize.toUpperCase()} page${pageCount !== 1 ? 's' : ''}`;
+                if (format === 'print') {
+                    // The browser's PDF viewer prints the pages without cutting the chart off
+                    window.open(URL.createObjectURL(blob), '_blank');
+                    status.textContent = `Opened ${pages} for printing`;
+                } else {
+                    this.downloadFile(blob, `${filename}.pdf`);
+                    status.textContent = `Saved ${filename}.pdf (${pages})`;
+                }
+            }
+        } catch (error) {
+            console.error('Chart export failed:', error);
+            status.textContent = `Export failed: ${error.message}`;
+        }
+    }
+
+    toggleOrgNode(nodeId) {
+        if (this.collapsedNodes.has(nodeId)) {
+            this.expandNode(nodeId);
+        } else {
+            // Collapse the node
+            this.collapsedNodes.add(nodeId);
+            // Set isHidden to false for all nodes in the tree
+            function setAllNodesVisible(node) {
+                node.isHidden = false;
+                if (node.children && node.children.length > 0) {
+                    node.children.forEach(child => setAllNodesVisible(child));
+                }
+            }
+            setAllNodesVisible(this.data);
+            this.unhideSiblings(nodeId);
+        }
+
+        this.updateTree(nodeId);
+        this.updateUrl(false);
+    }
+
+    expandNode(nodeId) {
+        this.collapsedNodes.delete(nodeId);
+        // Focus mode hides the siblings so only one branch per family is open
+        if (this.displayMode === 'focus') {
+            this.hideSiblings(nodeId);
+        }
+    }
+
+    setSearchMode(mode) {
+        if (mode === this.searchMode) {
+            return;
+        }
+        this.searchMode = mode;
+        document.querySelectorAll('#searchModeSwitch [data-search-mode]').forEach(button => {
+            const isActive = button.dataset.searchMode === mode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+        this.updateUrl(false);
+    }
+
+    setRelativeGenerations(show) {
+        if (show === this.showRelativeGenerations) {
+            return;
+        }
+        this.showRelativeGenerations = show;
+        document.getElementById('relativeGenerations').checked = show;
+        this.renderTree();
+        this.updateUrl(false);
+    }
+
+    setDisplayMode(mode) {
+        if (mode === this.displayMode) {
+            return;
+        }
+        this.displayMode = mode;
+        document.querySelectorAll('#displayModeSwitch [data-mode]').forEach(button => {
+            const isActive = button.dataset.mode === mode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        if (mode === 'free') {
+            // Collapsed siblings hidden by focus mode come back
+            this.addIsHiddenProperty(this.data);
+        } else {
+            // Keep the first open branch in each family and close the others
+            const keepOneBranch = (node) => {
+                const openChildren = this.visibleChildren(node).filter(child =>
+                    child.children && child.children.length > 0 && !this.collapsedNodes.has(child.id));
+                if (openChildren.length > 0) {
+                    this.expandNode(openChildren[0].id);
+                    keepOneBranch(openChildren[0]);
+                }
+            };
+            keepOneBranch(this.data);
+        }
+
+        if (this.viewMode !== 'pedigree') {
+            this.renderTree();
+        }
+        this.updateUrl(false);
+    }
+
+    // Expands a branch `depth` generations down (all of it by default) and collapses below that
+    expandBelow(nodeId, depth = Infinity) {
+        const expand = (node, remaining) => {
+            if (!node.children || node.children.length === 0) {
+                return;
+            }
+            if (remaining > 0) {
+                this.collapsedNodes.delete(node.id);
+                node.children.forEach(child => {
+                    child.isHidden = false;
+                    expand(child, remaining - 1);
+                });
+            } else {
+                this.collapsedNodes.add(node.id);
+            }
+        };
+        expand(this.index.node(nodeId), depth);
+
+        this.updateTree(nodeId);
+        this.updateUrl(false);
+    }
+
+    collapseBelow(nodeId) {
+        const collapse = (node) => {
+            if (node.children && node.children.length > 0) {
+                this.collapsedNodes.add(node.id);
+                node.children.forEach(collapse);
+            }
+        };
+        collapse(this.index.node(nodeId));
+
+        this.updateTree(nodeId);
+        this.updateUrl(false);
+    }
+
+    createBranchMenu(node) {
+        const menu = document.createElement('details');
+        menu.className = 'branch-menu';
+
+        const summary = document.createElement('summary');
+        summary.textContent = '⋯';
+        summary.title = 'Branch actions';
+        summary.setAttribute('aria-label', `Branch actions for ${node.name}`);
+        menu.appendChild(summary);
+
+        const items = document.createElement('div');
+        items.className = 'branch-menu-items';
+
+        const expandAll = document.createElement('button');
+        expandAll.textContent = 'Expand all below';
+        expandAll.addEventListener('click', () => this.expandBelow(node.id));
+
+        const collapseAll = document.createElement('button');
+        collapseAll.textContent = 'Collapse all below';
+        collapseAll.addEventListener('click', () => this.collapseBelow(node.id));
+
+        const depthRow = document.createElement('label');
+        depthRow.className = 'branch-depth';
+        depthRow.textContent = 'Expand to depth ';
+        const depthInput = document.createElement('input');
+        depthInput.type = 'number';
+        depthInput.min = '1';
+        depthInput.value = '2';
+        const depthButton = document.createElement('button');
+        depthButton.textContent = 'Go';
+        const expandToDepth = () => {
+            const depth = parseInt(depthInput.value, 10);
+            if (depth >= 1) {
+                this.expandBelow(node.id, depth);
+            }
+        };
+        depthButton.addEventListener('click', expandToDepth);
+        depthInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                expandToDepth();
+            }
+        });
+        depthRow.append(depthInput, depthButton);
+
+        items.append(expandAll, collapseAll, depthRow);
+        menu.appendChild(items);
+
+        // Keep clicks in the menu from opening the detail panel, and lift the
+        // open menu above neighbouring cards
+        menu.addEventListener('click', (e) => e.stopPropagation());
+        menu.addEventListener('toggle', () => {
+            const orgNode = menu.closest('.org-node');
+            if (orgNode) {
+                orgNode.classList.toggle('menu-open', menu.open);
+            }
+        });
+
+        return menu;
+    }
+
+    hideSiblings(nodeId) {
+        // Find the parent of the expanded node in the current data
+        const parent = this.findParentNode(nodeId);
+        if (parent && parent.children) {
+            // Add all siblings to collapsed state
+            parent.children.forEach(child => {
+                if (child.id !== nodeId) {
+                    this.collapsedNodes.add(child.id);
+                    child.isHidden = false;
+                    child.isHidden = true;
+                }
+            });
+        }
+    }
+
+    unhideSiblings(nodeId) {
+        const parent = this.findParentNode(nodeId);
+        if (parent && parent.children) {
+            parent.children.forEach(child => {
+                if (child.id !== nodeId) {
+                    child.isHidden = false;
+                }
+            });
+        }
+    }
+
+    focusOnNode(nodeId) {
+        console.log('focusOnNode called with:', nodeId);
+        // Find the node in the original data
+        const foundNode = this.index.node(nodeId);
+        console.log('Found node:', foundNode);
+        if (foundNode) {
+            // Reorganize tree to show the clicked node as root
+            console.log('Reorganizing tree for:', nodeId);
+            this.reorganizeTreeForSearch(nodeId);
+        } else {
+            console.log('Node not found:', nodeId);
+        }
+    }
+
+    showPersonDetails(nodeId) {
+        const foundResult = this.findNodeWithPath(nodeId);
+        if (!foundResult || foundResult.node.isForest) {
+            return;
+        }
+        const person = foundResult.node;
+        const ancestors = foundResult.path.slice(0, -1).map(ancestorId => this.index.node(ancestorId));
+        const parent = ancestors[ancestors.length - 1] || null;
+        const siblings = parent ? parent.children.filter(child => child.id !== person.id) : [];
+        const children = person.children || [];
+        const totalDescendants = this.index.descendantCount(person.id);
+
+        const panel = document.getElementById('personPanel');
+        panel.innerHTML = `
+            <button class="panel-close" title="Close">×</button>
+            <h2 class="panel-name"></h2>
+            <div class="panel-subtitle"></div>
+            <div class="panel-actions">
+                <button class="panel-action" data-action="make-root">Make root</button>
+                <button class="panel-action" data-action="show-ancestors">Show ancestors</button>
+                <button class="panel-action" data-action="show-in-tree">Show in tree</button>
+                <button class="panel-action" data-action="copy-link">Copy link</button>
+                <button class="panel-action" data-action="relationship">Relationship…</button>
+            </div>
+            <dl class="panel-facts"></dl>
+            <p class="panel-notes"></p>
+            <div class="panel-relatives"></div>
+        `;
+
+        panel.querySelector('.panel-name').textContent = person.name;
+        panel.querySelector('.panel-subtitle').textContent =
+            `Generation ${foundResult.path.length} · ${totalDescendants} descendant${totalDescendants !== 1 ? 's' : ''}`;
+
+        const facts = panel.querySelector('.panel-facts');
+        const rows = PersonRecord.detailRows(person);
+        if (rows.length === 0) {
+            facts.remove();
+        }
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            facts.appendChild(dt);
+            facts.appendChild(dd);
+        });
+
+        const notes = panel.querySelector('.panel-notes');
+        if (person.notes) {
+            notes.textContent = person.notes;
+        } else {
+            notes.remove();
+        }
+
+        const relatives = panel.querySelector('.panel-relatives');
+        this.appendPanelSection(relatives, 'Ancestral line', ancestors, ' → ');
+        this.appendPanelSection(relatives, 'Parent', parent ? [parent] : []);
+        this.appendPanelSection(relatives, 'Siblings', siblings);
+        this.appendPanelSection(relatives, 'Children', children);
+
+        panel.querySelector('.panel-close').addEventListener('click', () => {
+            this.hidePersonDetails();
+        });
+        panel.querySelector('[data-action="make-root"]').addEventListener('click', () => {
+            this.hidePersonDetails();
+            this.focusOnNode(person.id);
+        });
+        panel.querySelector('[data-action="show-ancestors"]').addEventListener('click', () => {
+            this.hidePersonDetails();
+            this.showPedigree(person.id);
+        });
+        panel.querySelector('[data-action="show-in-tree"]').addEventListener('click', () => {
+            this.hidePersonDetails();
+            this.revealInTree(person.id);
+        });
+        panel.querySelector('[data-action="copy-link"]').addEventListener('click', (e) => {
+            this.copyPersonLink(person.id, e.target);
+        });
+        panel.querySelector('[data-action="relationship"]').addEventListener('click', () => {
+            this.hidePersonDetails();
+            this.openRelationshipTool(person.id);
+        });
+
+        panel.classList.add('show');
+        panel.setAttribute('aria-hidden', 'false');
+        this.openPersonId = person.id;
+        if (this.isGraphView) {
+            this.graphView.select(person.id);
+        }
+        this.updateUrl(false);
+    }
+
+    appendPanelSection(container, title, people, separator = '') {
+        const section = document.createElement('div');
+        section.className = 'panel-section';
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        const list = document.createElement('div');
+        list.className = 'panel-people';
+        if (separator) {
+            list.classList.add('inline');
+        }
+
+        if (people.length === 0) {
+            const none = document.createElement('span');
+            none.className = 'panel-none';
+            none.textContent = 'None recorded';
+            list.appendChild(none);
+        }
+
+        people.forEach((relative, index) => {
+            if (separator && index > 0) {
+                list.appendChild(document.createTextNode(separator));
+            }
+            // Relatives link to their own details so the panel can be browsed
+            const link = document.createElement('button');
+            link.className = 'panel-person';
+            link.textContent = relative.name;
+            link.addEventListener('click', () => {
+                this.showPersonDetails(relative.id);
+            });
+            list.appendChild(link);
+        });
+
+        section.appendChild(list);
+        container.appendChild(section);
+    }
+
+    copyPersonLink(nodeId, button) {
+        const link = HashRouter.personLink(nodeId);
+        const showCopied = () => {
+            const originalText = button.textContent;
+            button.textContent = 'Link copied!';
+            setTimeout(() => {
+                button.textContent = originalText;
+            }, 2000);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link).then(showCopied).catch(() => {
+                window.prompt('Copy this link:', link);
+            });
+        } else {
+            window.prompt('Copy this link:', link);
+        }
+    }
+
+    hidePersonDetails() {
+        const panel = document.getElementById('personPanel');
+        panel.classList.remove('show');
+        panel.setAttribute('aria-hidden', 'true');
+        if (this.openPersonId) {
+            this.openPersonId = null;
+            this.updateUrl(false);
+        }
+    }
+
+    getViewState() {
+        const expanded = [];
+        const collectExpanded = (node) => {
+            if (node.children && node.children.length > 0 && !this.collapsedNodes.has(node.id)) {
+                expanded.push(node.id);
+                node.children.forEach(child => collectExpanded(child));
+            }
+        };
+        collectExpanded(this.data);
+
+        // Only the root expanded is the default and needs no parameter; a
+        // childless root has nothing to expand, so there the default is empty
+        // (an empty list for a root with children records that it is collapsed)
+        const rootHasChildren = this.data.children && this.data.children.length > 0;
+        const isDefault = rootHasChildren
+            ? expanded.length === 1 && expanded[0] === this.data.id
+            : expanded.length === 0;
+
+        if (this.viewMode === 'pedigree') {
+            return {
+                pedigree: this.pedigreePersonId,
+                expanded: this.pedigreeExpanded.size > 0 ? [...this.pedigreeExpanded] : null,
+                query: document.getElementById('searchInput').value.trim(),
+                person: this.openPersonId,
+                graph: this.isGraphView,
+                free: this.displayMode === 'free',
+                searchReveal: this.searchMode === 'reveal',
+                relative: this.showRelativeGenerations
+            };
+        }
+
+        return {
+            root: this.isSearchView ? this.data.id : null,
+            expanded: isDefault ? null : expanded,
+            query: document.getElementById('searchInput').value.trim(),
+            person: this.openPersonId,
+            graph: this.isGraphView,
+            free: this.displayMode === 'free',
+            searchReveal: this.searchMode === 'reveal',
+            relative: this.showRelativeGenerations
+        };
+    }
+
+    updateUrl(push) {
+        if (this.isRestoringState || !this.data) {
+            return;
+        }
+
+        const hash = HashRouter.format(this.getViewState());
+        if (hash === window.location.hash || (hash === '#/' && !window.location.hash)) {
+            return;
+        }
+        this.lastHash = hash;
+
+        try {
+            if (push) {
+                history.pushState(null, '', hash);
+            } else {
+                history.replaceState(null, '', hash);
+            }
+        } catch (error) {
+            // Some browsers refuse the History API for file:// pages
+            window.location.hash = hash;
+        }
+    }
+
+    applyViewState(state) {
+        this.isRestoringState = true;
+        try {
+            this.setDisplayMode(state.free ? 'free' : 'focus');
+            this.setSearchMode(state.searchReveal ? 'reveal' : 'focus');
+            this.setRelativeGenerations(state.relative);
+            if (state.pedigree && this.index.node(state.pedigree)) {
+                this.showPedigree(state.pedigree);
+            } else if (state.root && this.index.node(state.root)) {
+                this.reorganizeTreeForSearch(state.root);
+            } else if (state.reveal && this.index.node(state.person)) {
+                this.revealInTree(state.person);
+            } else {
+                this.returnToOriginalView();
+            }
+
+            if (state.expanded && this.viewMode === 'pedigree') {
+                state.expanded.forEach(ancestorId => this.pedigreeExpanded.add(ancestorId));
+                this.renderTree();
+            } else if (state.expanded) {
+                const expanded = new Set(state.expanded);
+                if (!expanded.has(this.data.id)) {
+                    this.collapsedNodes.add(this.data.id);
+                }
+                // Expand parents before children so sibling hiding matches manual toggling
+                const expandInOrder = (node) => {
+                    if (expanded.has(node.id)) {
+                        if (node !== this.data) {
+                            this.expandNode(node.id);
+                        } else {
+                            this.collapsedNodes.delete(node.id);
+                        }
+                    }
+                    if (node.children) {
+                        node.children.forEach(child => expandInOrder(child));
+                    }
+                };
+                expandInOrder(this.data);
+                this.renderTree();
+            }
+
+            const searchInput = document.getElementById('searchInput');
+            searchInput.value = state.query;
+            if (state.query && !state.root) {
+                this.displaySearchResults(this.searchIndex.search(state.query, Infinity), state.query);
+            } else {
+                document.getElementById('searchResults').classList.remove('show');
+            }
 
-        // Hide navigation buttons
-        this.hideNavigationButtons();
-    }
+            if (state.graph) {
+                this.showGraphView();
+            } else {
+                this.hideGraphView();
+            }
 
-    navigateUpOneGeneration() {
-        if (this.currentNodePath.length <= 1) {
-            // Already at the top, return to original view
-            this.returnToOriginalView();
-            return;
+            if (state.person && this.index.node(state.person)) {
+                this.showPersonDetails(state.person);
+            } else {
+                this.hidePersonDetails();
+            }
+        } finally {
+            this.isRestoringState = false;
         }
 
-        // Get the parent node name (second to last in path)
-        const parentName = this.currentNodePath[this.currentNodePath.length - 2];
-
-        // Reorganize to show the parent as root
-        this.reorganizeTreeForSearch(parentName);
+        this.lastHash = window.location.hash;
     }
 
+    showGraphView() {
+        document.getElementById('treeContainer').style.display = 'none';
+        const graphContainer = document.getElementById('graphContainer');
+        graphContainer.classList.add('show');
+        document.getElementById('graphToolBtn').textContent = 'Chart View';
+
+        if (!this.graphView) {
+            // Picking someone in the graph reveals them in the chart underneath
+            this.graphView = new GraphView(graphContainer, this.originalData, (nodeId) => {
+                this.revealInTree(nodeId);
+                this.showPersonDetails(nodeId);
+            });
+            this.graphView.render();
+        }
+        const wasGraphView = this.isGraphView;
+        this.isGraphView = true;
+
+        // ...and whoever the chart is focused on is selected in the graph
+        const selectedId = this.openPersonId ||
+            (this.viewMode === 'pedigree' ? this.pedigreePersonId : null) ||
+            (this.isSearchView ? this.data.id : null);
+        if (selectedId) {
+            this.graphView.select(selectedId);
+        } else if (!wasGraphView) {
+            this.graphView.fit();
+        }
 
-    renderTree() {
-        const container = document.getElementById('treeContainer');
-        container.innerHTML = '';
+        this.updateUrl(true);
+    }
 
-        if (this.data) {
-            const orgChart = this.createOrgChart(this.data);
-            container.appendChild(orgChart);
+    hideGraphView() {
+        document.getElementById('treeContainer').style.display = '';
+        document.getElementById('graphContainer').classList.remove('show');
+        document.getElementById('graphToolBtn').textContent = 'Graph View';
+        if (this.isGraphView) {
+            this.isGraphView = false;
+            // Cards can't be measured while the chart is hidden, so it is laid out
+            // again, then centered on whoever was picked in the graph
+            this.renderTree();
+            const card = this.openPersonId ? this.getSelectedCard() : null;
+            if (card) {
+                this.highlightOrgNode(card);
+            }
+            this.updateUrl(true);
         }
     }
 
-    createOrgChart(rootNode) {
-        const orgChartDiv = document.createElement('div');
-        orgChartDiv.className = 'org-chart';
+    getPersonPath(nodeId) {
+        const foundResult = this.findNodeWithPath(nodeId);
+        if (!foundResult) {
+            return null;
+        }
+        return foundResult.path.map(pathId => this.index.node(pathId));
+    }
 
-        // Create levels array to organize nodes by depth
-        const levels = [];
-        this.organizeNodesByLevel(rootNode, levels, 0);
+    buildPersonLabels() {
+        // Names repeat, so picker labels carry a few ancestors to tell people apart
+        this.personLabels.clear();
+        const addLabels = (node, ancestors) => {
+            const lineage = ancestors.slice(-3).reverse().map(ancestor => ancestor.name).join(' ← ');
+            let label = lineage ? `${node.name} (${lineage})` : node.name;
+            if (this.personLabels.has(label)) {
+                label = `${label} [${node.id}]`;
+            }
+            this.personLabels.set(label, node.id);
 
-        // Create each level
-        levels.forEach((levelNodes, levelIndex) => {
-            const levelDiv = document.createElement('div');
-            levelDiv.className = 'level';
+            if (node.children) {
+                node.children.forEach(child => addLabels(child, [...ancestors, node]));
+            }
+        };
+        PersonRecord.roots(this.originalData).forEach(root => addLabels(root, []));
+
+        const datalist = document.getElementById('personOptions');
+        datalist.innerHTML = '';
+        this.personLabels.forEach((id, label) => {
+            const option = document.createElement('option');
+            option.value = label;
+            datalist.appendChild(option);
+        });
+    }
 
-            levelNodes.forEach(nodeData => {
-                if (nodeData.node.isHidden) return;
-                const nodeElement = this.createOrgNode(nodeData.node, nodeData.level);
-                levelDiv.appendChild(nodeElement);
-            });
+    getPersonLabel(nodeId) {
+        for (const [label, id] of this.personLabels) {
+            if (id === nodeId) {
+                return label;
+            }
+        }
+        return '';
+    }
 
-            orgChartDiv.appendChild(levelDiv);
-        });
+    resolvePersonInput(value) {
+        const text = value.trim();
+        if (this.personLabels.has(text)) {
+            return this.personLabels.get(text);
+        }
+        // Accept a bare name as long as only one person has it
+        const matches = this.findNodesByName(this.originalData, text);
+        return matches.length === 1 ? matches[0].id : null;
+    }
 
-        return orgChartDiv;
+    openRelationshipTool(personId = null) {
+        const tool = document.getElementById('relationshipTool');
+        tool.classList.add('show');
+        if (personId) {
+            document.getElementById('relationshipA').value = this.getPersonLabel(personId);
+            document.getElementById('relationshipB').value = '';
+            document.getElementById('relationshipResult').innerHTML = '';
+            document.getElementById('relationshipB').focus();
+        }
+        tool.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
-    organizeNodesByLevel(node, levels, currentLevel) {
-        // Initialize level if it doesn't exist
-        if (!levels[currentLevel]) {
-            levels[currentLevel] = [];
+    showRelationship() {
+        const resultContainer = document.getElementById('relationshipResult');
+        const inputA = document.getElementById('relationshipA');
+        const inputB = document.getElementById('relationshipB');
+        const idA = this.resolvePersonInput(inputA.value);
+        const idB = this.resolvePersonInput(inputB.value);
+
+        resultContainer.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'relationship-message';
+        resultContainer.appendChild(message);
+
+        if (!idA || !idB) {
+            const missing = !idA ? inputA.value : inputB.value;
+            message.classList.add('no-results');
+            message.textContent = missing.trim()
+                ? `Pick "${missing.trim()}" from the suggestions; the name is missing or shared by several people.`
+                : 'Choose two people to compare.';
+            return;
         }
 
-        // Add current node to its level
-        levels[currentLevel].push({
-            node: node,
-            level: currentLevel
-        });
+        const relationship = RelationshipCalculator.compare(this.getPersonPath(idA), this.getPersonPath(idB));
+        if (!relationship) {
+            message.classList.add('no-results');
+            message.textContent = `${this.index.node(idA).name} and ${this.index.node(idB).name} belong to different lineages, ` +
+                'so this data has no common ancestor for them.';
+            return;
+        }
+        const personA = relationship.lineA[relationship.lineA.length - 1];
+        const personB = relationship.lineB[relationship.lineB.length - 1];
 
-        // Process children if they exist and parent is not collapsed
-        if (node.children && node.children.length > 0 && !this.collapsedNodes.has(node.name)) {
-            node.children.forEach(child => {
-                this.organizeNodesByLevel(child, levels, currentLevel + 1);
-            });
+        if (idA === idB) {
+            message.textContent = `${personA.name} and ${personB.name} are the same person.`;
+        } else {
+            message.innerHTML = '<strong></strong> is <strong></strong>\'s <strong class="relationship-label"></strong>';
+            const parts = message.querySelectorAll('strong');
+            parts[0].textContent = personB.name;
+            parts[1].textContent = personA.name;
+            parts[2].textContent = relationship.label;
+
+            const ancestorNote = document.createElement('div');
+            ancestorNote.className = 'relationship-ancestor';
+            ancestorNote.textContent = `Most recent common ancestor: ${relationship.ancestor.name}`;
+            resultContainer.appendChild(ancestorNote);
         }
-    }
 
-    createOrgNode(node, level) {
-        const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'org-node';
-        nodeDiv.setAttribute('data-level', level);
-        nodeDiv.setAttribute('data-name', node.name.toLowerCase());
+        resultContainer.appendChild(this.createRelationshipChart(relationship));
+    }
 
-        const hasChildren = node.children && node.children.length > 0;
+    createRelationshipChart(relationship) {
+        // Common ancestor on top, the two lines of descent side by side below
+        const chart = document.createElement('div');
+        chart.className = 'org-chart relationship-chart';
 
-        // Create the node box
-        const nodeBox = document.createElement('div');
-        nodeBox.className = 'node-box';
-        nodeBox.setAttribute('data-name', node.name);
+        const topLevel = document.createElement('div');
+        topLevel.className = 'level';
+        topLevel.appendChild(this.createRelationshipCard(relationship.ancestor, relationship.distanceA === 0 || relationship.distanceB === 0));
+        chart.appendChild(topLevel);
 
-        // Toggle button
-        if (hasChildren) {
-            const toggleBtn = document.createElement('button');
-            toggleBtn.className = 'toggle-btn';
-            const isCollapsed = this.collapsedNodes.has(node.name);
-            toggleBtn.textContent = isCollapsed ? '+' : '−';
-            if (!isCollapsed) {
-                toggleBtn.classList.add('expanded');
+        const lines = document.createElement('div');
+        lines.className = 'relationship-lines';
+        [relationship.lineA, relationship.lineB].forEach(line => {
+            if (line.length <= 1) {
+                return;
             }
-            toggleBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleOrgNode(node.name);
+            const column = document.createElement('div');
+            column.className = 'relationship-line';
+            line.slice(1).forEach((node, index) => {
+                column.appendChild(this.createRelationshipCard(node, index === line.length - 2));
             });
-            nodeBox.appendChild(toggleBtn);
+            lines.appendChild(column);
+        });
+        chart.appendChild(lines);
+
+        return chart;
+    }
+
+    createRelationshipCard(node, isEndpoint) {
+        const nodeBox = document.createElement('div');
+        nodeBox.className = 'node-box';
+        if (isEndpoint) {
+            nodeBox.classList.add('relationship-endpoint');
         }
 
-        // Node name
         const nameDiv = document.createElement('div');
         nameDiv.className = 'node-name';
         nameDiv.textContent = node.name;
         nodeBox.appendChild(nameDiv);
 
-        // Node title (generation level)
         const titleDiv = document.createElement('div');
         titleDiv.className = 'node-title';
-        titleDiv.textContent = `Generation ${level + 1}`;
+        titleDiv.textContent = `Generation ${this.index.depth(node.id) + 1}`;
         nodeBox.appendChild(titleDiv);
 
-        // Total descendants count
-        const descendantsCountDiv = document.createElement('div');
-        descendantsCountDiv.className = 'children-count';
-        const totalDescendants = this.countTotalDescendants(node);
-        descendantsCountDiv.textContent = `${totalDescendants} descendant${totalDescendants !== 1 ? 's' : ''}`;
-        nodeBox.appendChild(descendantsCountDiv);
-
-        // Add click event to focus on the node
-        nodeBox.addEventListener('click', (e) => {
-            // Don't focus if clicking on the toggle button
-            if (e.target.classList.contains('toggle-btn')) {
-                return;
-            }
-            console.log('Focusing on node:', node.name);
-            this.focusOnNode(node.name);
+        nodeBox.addEventListener('click', () => {
+            this.showPersonDetails(node.id);
         });
 
-        nodeDiv.appendChild(nodeBox);
+        return nodeBox;
+    }
 
-        return nodeDiv;
+    showStatistics() {
+        const stats = new TreeStats(this.originalData, this.index);
+        const result = document.getElementById('statsResult');
+        result.innerHTML = '';
+
+        const totals = stats.totals();
+        const summary = document.createElement('p');
+        summary.className = 'stats-summary';
+        const lineages = totals.lineages > 1 ? ` in ${totals.lineages} lineages` : '';
+        summary.textContent = `${totals.people} people${lineages} over ${totals.generations} generations. ` +
+            `${totals.leaves} have no recorded children, and ${stats.duplicateNameCount()} names are shared by more than one person.`;
+        result.appendChild(summary);
+
+        const personRow = (row, detail) => ({ id: row.node.id, label: this.getPersonLabel(row.node.id), value: row.value, detail });
+        const grid = document.createElement('div');
+        grid.className = 'stats-grid';
+        grid.append(
+            this.createStatsChart('People per generation', stats.generations().map(row => ({
+                label: `Generation ${row.generation}`,
+                value: row.people,
+                detail: `${row.people} people, ${row.leaves} without children`
+            }))),
+            this.createStatsChart('Largest families', stats.largestFamilies().map(row =>
+                personRow(row, `${row.value} children`))),
+            this.createStatsChart('Longest lines', stats.longestLines().map(row =>
+                personRow(row, `${row.value} generations: ${row.path.map(node => node.name).join(' › ')}`))),
+            this.createStatsChart('Biggest branches', stats.biggestBranches().map(row =>
+                personRow(row, `${row.value} descendants`))),
+            this.createStatsChart('Most common names', stats.commonNames().map(group => ({
+                label: group.name,
+                value: group.people.length,
+                detail: `${group.people.length} people`,
+                people: group.people
+            })))
+        );
+        result.appendChild(grid);
     }
 
-    toggleOrgNode(nodeName) {
-        if (this.collapsedNodes.has(nodeName)) {
-            // Expand the node
-            this.collapsedNodes.delete(nodeName);
+    // A list of horizontal bars; people in it are buttons that show them in the chart
+    createStatsChart(title, rows) {
+        const card = document.createElement('section');
+        card.className = 'stats-card';
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        card.appendChild(heading);
+
+        if (rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'no-results';
+            empty.textContent = 'Nothing to show.';
+            card.appendChild(empty);
+            return card;
+        }
 
-            // Hide siblings when expanding
-            this.hideSiblings(nodeName);
-        } else {
-            // Collapse the node
-            this.collapsedNodes.add(nodeName);
-            // Set isHidden to false for all nodes in the tree
-            function setAllNodesVisible(node) {
-                node.isHidden = false;
-                if (node.children && node.children.length > 0) {
-                    node.children.forEach(child => setAllNodesVisible(child));
-                }
+        const max = Math.max(...rows.map(row => row.value));
+        const list = document.createElement('ol');
+        list.className = 'stats-rows';
+        rows.forEach(row => {
+            const item = document.createElement('li');
+            item.className = 'stats-row';
+
+            const label = document.createElement(row.id ? 'button' : 'span');
+            label.className = 'stats-label';
+            label.textContent = row.label;
+            if (row.id) {
+                label.title = 'Show in the chart';
+                label.addEventListener('click', () => this.jumpToPerson(row.id));
             }
-            setAllNodesVisible(this.data);
-            this.unhideSiblings(nodeName);
-        }
 
-        // Re-render the tree with updated state
-        this.renderTree();
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            bar.title = row.detail;
+            const fill = document.createElement('span');
+            fill.style.width = `${(row.value / max) * 100}%`;
+            bar.appendChild(fill);
+
+            const value = document.createElement('span');
+            value.className = 'stats-value';
+            value.textContent = row.value;
+
+            const detail = document.createElement('div');
+            detail.className = 'stats-detail';
+            detail.textContent = row.detail;
+
+            item.append(label, bar, value, detail);
+
+            if (row.people) {
+                const people = document.createElement('div');
+                people.className = 'stats-people';
+                row.people.forEach(person => {
+                    const button = document.createElement('button');
+                    button.textContent = this.getPersonLabel(person.id);
+                    button.title = 'Show in the chart';
+                    button.addEventListener('click', () => this.jumpToPerson(person.id));
+                    people.appendChild(button);
+                });
+                item.appendChild(people);
+            }
+            list.appendChild(item);
+        });
+        card.appendChild(list);
+        return card;
     }
 
-    hideSiblings(nodeName) {
-        // Find the parent of the expanded node in the current data
-        const parent = this.findParentNode(this.data, nodeName);
-        if (parent && parent.children) {
-            // Add all siblings to collapsed state
-            parent.children.forEach(child => {
-                if (child.name !== nodeName) {
-                    this.collapsedNodes.add(child.name);
-                    child.isHidden = false;
-                    child.isHidden = true;
-                }
-            });
+    buildChainBreaks() {
+        this.chainBreaks = new Map(NameChain.check(this.originalData).map(chainBreak => [chainBreak.child.id, chainBreak]));
+    }
+
+    showNameChainReport() {
+        const report = document.getElementById('nameChainReport');
+        report.innerHTML = '';
+        const pairs = this.index.descendantCount(this.originalData.id) - (this.originalData.isForest ? this.originalData.children.length : 0);
+
+        const summary = document.createElement('p');
+        summary.className = 'gedcom-summary';
+        summary.textContent = `${this.chainBreaks.size} of ${pairs} children do not start with their father's last syllable.`;
+        report.appendChild(summary);
+        if (this.chainBreaks.size === 0) {
+            return;
         }
+
+        const list = document.createElement('ul');
+        list.className = 'gedcom-issues name-chain-issues';
+        this.chainBreaks.forEach(({ parent, child, expected }) => {
+            const item = document.createElement('li');
+            item.className = 'gedcom-issue warning';
+            const person = document.createElement('button');
+            person.className = 'data-check-person';
+            person.textContent = `${parent.name} → ${child.name}`;
+            person.title = 'Show in the chart';
+            person.addEventListener('click', () => this.jumpToPerson(child.id));
+            item.append(person, `: expected a name starting with "${expected}"`);
+            list.appendChild(item);
+        });
+        report.appendChild(list);
+        this.filterNameChainReport();
     }
 
-    unhideSiblings(nodeName) {
-        const parent = this.findParentNode(this.data, nodeName);
-        if (parent && parent.children) {
-            parent.children.forEach(child => {
-                if (child.name !== nodeName) {
-                    child.isHidden = false;
+    filterNameChainReport() {
+        const query = document.getElementById('nameChainFilter').value.trim().toLowerCase();
+        document.querySelectorAll('#nameChainReport li').forEach(item => {
+            item.hidden = query !== '' && !item.textContent.toLowerCase().includes(query);
+        });
+    }
+
+    // Fills the generation picker from the full tree, keeping the chosen generation while it exists
+    showGenerationBrowser() {
+        const picker = document.getElementById('generationPicker');
+        const selected = Number(picker.value) || 1;
+        const rows = new TreeStats(this.originalData, this.index).generations();
+        picker.innerHTML = '';
+        rows.forEach(row => {
+            picker.appendChild(new Option(`${row.generation} (${row.people} ${row.people !== 1 ? 'people' : 'person'})`, row.generation));
+        });
+        picker.value = String(Math.min(selected, rows.length));
+        this.updateGenerationGroups();
+        this.showGeneration();
+    }
+
+    // Grouping by the ancestors in generation K only helps where the tree has
+    // split since the generation above, so only those generations are offered
+    updateGenerationGroups() {
+        const generation = Number(document.getElementById('generationPicker').value);
+        const groupPicker = document.getElementById('generationGroup');
+        const selected = groupPicker.value;
+        const paths = this.index.atDepth(generation - 1).map(node => this.index.path(node.id));
+
+        groupPicker.innerHTML = '';
+        groupPicker.appendChild(new Option('No grouping', ''));
+        let branches = 1;
+        for (let level = 1; level < generation; level++) {
+            const count = new Set(paths.map(path => path[level - 1])).size;
+            if (count > branches) {
+                // Generation 1 only splits when the data has several lineages
+                let label = `Branches in generation ${level} (${count})`;
+                if (level === generation - 1) {
+                    label = `Parent (${count})`;
+                } else if (level === 1) {
+                    label = `Lineage (${count})`;
                 }
-            });
+                groupPicker.appendChild(new Option(label, level));
+            }
+            branches = count;
         }
+        groupPicker.value = [...groupPicker.options].some(option => option.value === selected) ? selected : '';
     }
 
-    focusOnNode(nodeName) {
-        console.log('focusOnNode called with:', nodeName);
-        // Find the node in the original data
-        const foundNode = this.findNodeByName(this.originalData, nodeName);
-        console.log('Found node:', foundNode);
-        if (foundNode) {
-            // Reorganize tree to show the clicked node as root
-            console.log('Reorganizing tree for:', nodeName);
-            this.reorganizeTreeForSearch(nodeName);
-        } else {
-            console.log('Node not found:', nodeName);
+    showGeneration() {
+        const generation = Number(document.getElementById('generationPicker').value);
+        const sort = document.getElementById('generationSort').value;
+        const groupLevel = Number(document.getElementById('generationGroup').value);
+        const list = document.getElementById('generationList');
+        list.innerHTML = '';
+
+        // Groups keep tree order; the sort applies to the people inside each one
+        const groups = new Map();
+        this.index.atDepth(generation - 1).forEach(node => {
+            const key = groupLevel ? this.index.path(node.id)[groupLevel - 1] : '';
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(node);
+        });
+        const compare = {
+            tree: () => 0,
+            name: (a, b) => a.name.localeCompare(b.name),
+            descendants: (a, b) => this.index.descendantCount(b.id) - this.index.descendantCount(a.id)
+        }[sort];
+
+        const people = [...groups.values()].reduce((total, group) => total + group.length, 0);
+        const summary = document.createElement('p');
+        summary.className = 'gedcom-summary';
+        summary.textContent = `${people} ${people !== 1 ? 'people' : 'person'} in generation ${generation}` +
+            (groupLevel ? `, in ${groups.size} branches` : '');
+        list.appendChild(summary);
+
+        const results = document.createElement('div');
+        results.className = 'generation-results';
+        groups.forEach((members, ancestorId) => {
+            if (ancestorId) {
+                const heading = document.createElement('h3');
+                heading.className = 'generation-group';
+                const ancestor = document.createElement('button');
+                ancestor.className = 'data-check-person';
+                ancestor.textContent = this.index.node(ancestorId).name;
+                ancestor.title = 'Show in the chart';
+                ancestor.addEventListener('click', () => this.jumpToPerson(ancestorId));
+                heading.append(ancestor, ` · generation ${groupLevel} · ${members.length} ${members.length !== 1 ? 'people' : 'person'}`);
+                results.appendChild(heading);
+            }
+            const group = document.createElement('ul');
+            group.className = 'generation-people';
+            [...members].sort(compare).forEach(node => group.appendChild(this.createGenerationEntry(node)));
+            results.appendChild(group);
+        });
+        list.appendChild(results);
+    }
+
+    createGenerationEntry(node) {
+        const item = document.createElement('li');
+        const person = document.createElement('button');
+        person.className = 'data-check-person';
+        person.textContent = node.name;
+        person.title = 'Show in the chart';
+        person.addEventListener('click', () => this.jumpToPerson(node.id));
+
+        const parent = this.index.parent(node.id);
+        const descendants = this.index.descendantCount(node.id);
+        item.append(person, `${parent && !parent.isForest ? `, child of ${parent.name}` : ', top ancestor'}` +
+            ` · ${descendants} descendant${descendants !== 1 ? 's' : ''}`);
+
+        const ancestors = this.index.path(node.id).slice(0, -1);
+        if (ancestors.length > 0) {
+            const path = document.createElement('small');
+            path.className = 'generation-path';
+            path.textContent = ancestors.map(ancestorId => this.index.node(ancestorId).name).join(' → ');
+            item.appendChild(path);
         }
+        return item;
+    }
+
+    jumpToPerson(nodeId) {
+        this.hideGraphView();
+        this.revealInTree(nodeId);
+        document.getElementById('treeContainer').scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
     highlightOrgNode(nodeBox) {
+        // Behind the graph the chart has no size to center in; hideGraphView() highlights instead
+        if (this.isGraphView) {
+            return;
+        }
+
         // Remove previous highlights
         this.highlightedNodes.forEach(node => {
             node.classList.remove('highlighted');
@@ -397,11 +2304,10 @@ class GenealogyTree {
         nodeBox.classList.add('highlighted');
         this.highlightedNodes.add(nodeBox);
 
-        // Scroll to the highlighted node
-        nodeBox.scrollIntoView({
-            behavior: 'smooth',
-            block: 'center'
-        });
+        // Bring the chart on screen and the person to the middle of it
+        document.getElementById('treeContainer').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        this.viewport.centerOn(nodeBox);
+        this.viewport.update();
 
         // Remove highlight after 3 seconds
         setTimeout(() => {
@@ -416,65 +2322,58 @@ class GenealogyTree {
             return;
         }
 
-        const searchTerm = query.toLowerCase().trim();
-
-        // First try to find an exact match and reorganize immediately
-        const exactMatch = this.findNodeByName(this.originalData, searchTerm);
-        if (exactMatch) {
-            this.reorganizeTreeForSearch(exactMatch.name);
-            document.getElementById('searchResults').classList.remove('show');
-            return;
-        }
-
-        // Try to find partial matches and reorganize if only one match
-        const results = [];
-        this.searchInNode(this.originalData, searchTerm, results, []);
+        const searchTerm = query.trim();
+        // The results list shows every match, so its count is the real total
+        const results = this.searchIndex.search(searchTerm, Infinity);
 
-        if (results.length === 1) {
-            // If only one result, reorganize immediately
-            this.reorganizeTreeForSearch(results[0].name);
-            document.getElementById('searchResults').classList.remove('show');
+        // Re-root immediately on a single exact match (names can be shared,
+        // so only when exactly one person has it) or when only one person matches
+        const exactMatches = results.filter(result => result.matchType === 'exact' && !result.isAlias);
+        if (exactMatches.length === 1 || results.length === 1) {
+            this.showSearchHit(exactMatches.length === 1 ? exactMatches[0].id : results[0].id);
         } else {
             // Multiple results, show search results
             this.displaySearchResults(results, searchTerm);
+            this.updateUrl(false);
         }
     }
 
-    searchInNode(node, searchTerm, results, path) {
-        const currentPath = [...path, node.name];
-
-        if (node.name.toLowerCase().includes(searchTerm)) {
-            results.push({
-                name: node.name,
-                path: currentPath,
-                level: currentPath.length - 1
-            });
-        }
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
 
-        if (node.children) {
-            node.children.forEach(child => {
-                this.searchInNode(child, searchTerm, results, currentPath);
-            });
-        }
+    highlightMatch(text, range) {
+        const [start, end] = range;
+        return `${this.escapeHtml(text.slice(0, start))}<mark>${this.escapeHtml(text.slice(start, end))}</mark>${this.escapeHtml(text.slice(end))}`;
     }
 
     displaySearchResults(results, searchTerm) {
         const resultsContainer = document.getElementById('searchResults');
+        const safeTerm = this.escapeHtml(searchTerm);
 
         if (results.length === 0) {
             resultsContainer.innerHTML = `
-                <h3>Search Results for "${searchTerm}"</h3>
+                <h3>Search Results for "${safeTerm}"</h3>
                 <div class="no-results">No results found</div>
             `;
         } else {
-            let html = `<h3>Search Results for "${searchTerm}" (${results.length} found)</h3>`;
+            let html = `<h3>Search Results for "${safeTerm}" (${results.length} found)</h3>`;
 
             results.forEach(result => {
-                const pathString = result.path.join(' → ');
+                const pathString = this.escapeHtml(result.path.map(pathNode => pathNode.name).join(' → '));
+                // Alias hits show the real name with the matching alias beside it
+                const nameHtml = result.isAlias
+                    ? `${this.escapeHtml(result.name)} <span class="search-alias">(also ${this.highlightMatch(result.matchedText, result.range)})</span>`
+                    : this.highlightMatch(result.name, result.range);
+                const similarNote = result.matchType === 'phonetic' || result.matchType === 'fuzzy'
+                    ? ' <span class="search-similar">similar spelling</span>'
+                    : '';
                 html += `
-                    <div class="search-result-item" data-path="${result.path.join(',')}">
-                        <strong>${result.name}</strong><br>
-                        <small>Path: ${pathString}</small>
+                    <div class="search-result-item" data-path="${result.path.map(pathNode => pathNode.id).join(',')}">
+                        <strong>${nameHtml}</strong>${similarNote}<br>
+                        <small>Generation ${result.level + 1} · Path: ${pathString}</small>
                     </div>
                 `;
             });
@@ -494,16 +2393,25 @@ class GenealogyTree {
     }
 
     highlightNodeByPath(path) {
-        const targetName = path[path.length - 1];
+        this.showSearchHit(path[path.length - 1]);
+    }
+
+    // Re-roots the chart on the person, or in reveal mode opens them in the full tree
+    showSearchHit(targetId) {
+        if (this.searchMode === 'reveal') {
+            if (this.revealInTree(targetId)) {
+                document.getElementById('searchResults').classList.remove('show');
+            }
+            return;
+        }
 
-        // Reorganize tree to show the searched person as root
-        if (this.reorganizeTreeForSearch(targetName)) {
+        if (this.reorganizeTreeForSearch(targetId)) {
             // Hide search results
             document.getElementById('searchResults').classList.remove('show');
 
             // Highlight the new root node
             setTimeout(() => {
-                const nodeBox = document.querySelector(`.node-box[data-name="${targetName}"]`);
+                const nodeBox = document.querySelector(`.node-box[data-id="${CSS.escape(targetId)}"]`);
                 if (nodeBox) {
                     this.highlightOrgNode(nodeBox);
                 }
@@ -552,8 +2460,9 @@ class GenealogyTree {
         if (this.currentNodePath.length <= 1) {
             upBtn.textContent = '↑ Back to Full Tree';
         } else {
-            const parentName = this.currentNodePath[this.currentNodePath.length - 2];
-            upBtn.textContent = `↑ Go to ${parentName}`;
+            const parentId = this.currentNodePath[this.currentNodePath.length - 2];
+            const parentNode = this.index.node(parentId);
+            upBtn.textContent = `↑ Go to ${parentNode.name}`;
         }
     }
 
@@ -570,6 +2479,7 @@ class GenealogyTree {
     }
 
     clearSearch() {
+        this.hideSuggestions();
         document.getElementById('searchResults').classList.remove('show');
         document.getElementById('searchInput').value = '';
 
@@ -583,6 +2493,7 @@ class GenealogyTree {
             node.classList.remove('highlighted');
         });
         this.highlightedNodes.clear();
+        this.updateUrl(false);
     }
 
     setupEventListeners() {
@@ -595,26 +2506,299 @@ class GenealogyTree {
             this.search(query);
         });
 
-        searchInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                const query = searchInput.value;
-                this.search(query);
+        // Typeahead: arrows move through suggestions, Enter picks one (or runs a
+        // full search when none is selected) and Escape closes the list
+        searchInput.addEventListener('keydown', (e) => {
+            const isOpen = this.suggestions.length > 0;
+            if (e.key === 'ArrowDown' && isOpen) {
+                e.preventDefault();
+                this.setActiveSuggestion((this.activeSuggestion + 1) % this.suggestions.length);
+            } else if (e.key === 'ArrowUp' && isOpen) {
+                e.preventDefault();
+                this.setActiveSuggestion(this.activeSuggestion <= 0 ? this.suggestions.length - 1 : this.activeSuggestion - 1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (isOpen && this.activeSuggestion >= 0) {
+                    this.chooseSuggestion(this.suggestions[this.activeSuggestion]);
+                } else {
+                    this.hideSuggestions();
+                    this.search(searchInput.value);
+                }
+            } else if (e.key === 'Escape' && isOpen) {
+                e.stopPropagation();
+                this.hideSuggestions();
             }
         });
 
+        searchInput.addEventListener('blur', () => {
+            this.hideSuggestions();
+        });
+
         clearBtn.addEventListener('click', () => {
             this.clearSearch();
         });
 
-        // Real-time search as user types
+        document.getElementById('rootPicker').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.focusOnNode(e.target.value);
+            } else {
+                this.returnToOriginalView();
+            }
+        });
+
+        document.getElementById('graphToolBtn').addEventListener('click', () => {
+            if (this.isGraphView) {
+                this.hideGraphView();
+            } else {
+                this.showGraphView();
+            }
+        });
+
+        // Relationship tool
+        this.buildPersonLabels();
+        document.getElementById('relationshipToolBtn').addEventListener('click', () => {
+            const tool = document.getElementById('relationshipTool');
+            if (tool.classList.contains('show')) {
+                tool.classList.remove('show');
+            } else {
+                this.openRelationshipTool();
+            }
+        });
+        document.getElementById('statsToolBtn').addEventListener('click', () => {
+            const tool = document.getElementById('statsTool');
+            tool.classList.toggle('show');
+            if (tool.classList.contains('show')) {
+                this.showStatistics();
+            }
+        });
+        document.getElementById('nameChainToolBtn').addEventListener('click', () => {
+            const tool = document.getElementById('nameChainTool');
+            tool.classList.toggle('show');
+            if (tool.classList.contains('show')) {
+                this.showNameChainReport();
+            }
+        });
+        document.getElementById('nameChainFilter').addEventListener('input', () => {
+            this.filterNameChainReport();
+        });
+        document.getElementById('generationToolBtn').addEventListener('click', () => {
+            const tool = document.getElementById('generationTool');
+            tool.classList.toggle('show');
+            if (tool.classList.contains('show')) {
+                this.showGenerationBrowser();
+            }
+        });
+        document.getElementById('generationPicker').addEventListener('change', () => {
+            this.updateGenerationGroups();
+            this.showGeneration();
+        });
+        ['generationSort', 'generationGroup'].forEach(selectId => {
+            document.getElementById(selectId).addEventListener('change', () => this.showGeneration());
+        });
+        document.getElementById('relationshipBtn').addEventListener('click', () => {
+            this.showRelationship();
+        });
+        ['relationshipA', 'relationshipB'].forEach(inputId => {
+            document.getElementById(inputId).addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.showRelationship();
+                }
+            });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hidePersonDetails();
+                this.cancelMove();
+            }
+
+            // Undo/redo shortcuts while editing, unless typing in a field
+            const isTyping = ['INPUT', 'TEXTAREA'].includes(document.activeElement.tagName);
+            if (this.isEditMode && !isTyping && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redoEdit();
+                } else {
+                    this.undoEdit();
+                }
+            } else if (this.isEditMode && !isTyping && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+                e.preventDefault();
+                this.redoEdit();
+            }
+        });
+
+        // Display mode
+        document.querySelectorAll('#displayModeSwitch [data-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setDisplayMode(button.dataset.mode);
+            });
+        });
+
+        // Search behaviour
+        document.querySelectorAll('#searchModeSwitch [data-search-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setSearchMode(button.dataset.searchMode);
+            });
+        });
+
+        document.getElementById('relativeGenerations').addEventListener('change', (e) => {
+            this.setRelativeGenerations(e.target.checked);
+        });
+
+        // Chart export
+        document.getElementById('chartExportToolBtn').addEventListener('click', () => {
+            document.getElementById('chartExportTool').classList.toggle('show');
+        });
+        document.querySelectorAll('#chartExportTool [data-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportChart(button.dataset.format);
+            });
+        });
+
+        // GEDCOM export and import; a .ged file can also be dropped anywhere on the page
+        document.getElementById('gedcomToolBtn').addEventListener('click', () => {
+            document.getElementById('gedcomTool').classList.toggle('show');
+        });
+        document.getElementById('gedcomExportBtn').addEventListener('click', () => {
+            this.exportGedcom();
+        });
+        document.getElementById('gedcomFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importGedcom(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+        document.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && [...e.dataTransfer.types].includes('Files')) {
+                e.preventDefault();
+            }
+        });
+        document.addEventListener('drop', (e) => {
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                e.preventDefault();
+                this.importGedcom(file);
+            }
+        });
+
+        // Edit mode
+        document.getElementById('editToolBtn').addEventListener('click', () => {
+            this.toggleEditMode();
+        });
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.undoEdit();
+        });
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.redoEdit();
+        });
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportTree();
+        });
+        document.getElementById('discardEditsBtn').addEventListener('click', () => {
+            this.discardEdits();
+        });
+        document.getElementById('checkDataBtn').addEventListener('click', () => {
+            const tool = document.getElementById('dataCheckTool');
+            tool.classList.toggle('show');
+            if (tool.classList.contains('show')) {
+                this.showDataCheck();
+            }
+        });
+
+        // Back/forward and hand-edited URLs restore the view they describe
+        const onUrlChange = () => {
+            if (window.location.hash !== this.lastHash) {
+                this.applyViewState(HashRouter.parse(window.location.hash));
+            }
+        };
+        window.addEventListener('popstate', onUrlChange);
+        window.addEventListener('hashchange', onUrlChange);
+
+        // Suggest matches as the user types; the chart only changes once one is chosen
         searchInput.addEventListener('input', (e) => {
-            const query = e.target.value;
-            if (query.length >= 2) {
-                this.search(query);
-            } else if (query.length === 0) {
-                this.clearSearch();
+            this.showSuggestions(e.target.value);
+            this.updateUrl(false);
+        });
+    }
+
+    showSuggestions(query) {
+        if (!query.trim()) {
+            this.hideSuggestions();
+            return;
+        }
+        this.suggestions = this.searchIndex.search(query, 8);
+        this.activeSuggestion = -1;
+
+        const list = document.getElementById('searchSuggestions');
+        list.innerHTML = '';
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestions.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'search-suggestion';
+            item.id = `searchSuggestion-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+
+            const nameHtml = result.isAlias
+                ? `${this.escapeHtml(result.name)} <span class="search-alias">(also ${this.highlightMatch(result.matchedText, result.range)})</span>`
+                : this.highlightMatch(result.name, result.range);
+            const lineage = result.path.slice(0, -1).map(pathNode => pathNode.name).join(' → ');
+            item.innerHTML = `
+                <div class="suggestion-name">${nameHtml}</div>
+                <div class="suggestion-path">${this.escapeHtml(lineage || 'Top ancestor')}</div>
+            `;
+
+            // mousedown fires before the input's blur closes the list
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.chooseSuggestion(result);
+            });
+            item.addEventListener('mousemove', () => {
+                if (this.activeSuggestion !== index) {
+                    this.setActiveSuggestion(index);
+                }
+            });
+            list.appendChild(item);
+        });
+
+        list.classList.add('show');
+        document.getElementById('searchInput').setAttribute('aria-expanded', 'true');
+    }
+
+    setActiveSuggestion(index) {
+        const list = document.getElementById('searchSuggestions');
+        const searchInput = document.getElementById('searchInput');
+        list.querySelectorAll('.search-suggestion').forEach((item, itemIndex) => {
+            const isActive = itemIndex === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive) {
+                item.scrollIntoView({ block: 'nearest' });
             }
         });
+        this.activeSuggestion = index;
+        searchInput.setAttribute('aria-activedescendant', `searchSuggestion-${index}`);
+    }
+
+    hideSuggestions() {
+        const list = document.getElementById('searchSuggestions');
+        const searchInput = document.getElementById('searchInput');
+        list.classList.remove('show');
+        list.innerHTML = '';
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    chooseSuggestion(result) {
+        document.getElementById('searchInput').value = result.name;
+        this.hideSuggestions();
+        this.highlightNodeByPath(result.path.map(pathNode => pathNode.id));
     }
 
     showError(message) {
@@ -622,9 +2806,11 @@ class GenealogyTree {
         container.innerHTML = `
             <div style="text-align: center; padding: 40px; color: #e53e3e;">
                 <h3>Error</h3>
-                <p>${message}</p>
+                <p></p>
             </div>
         `;
+        // Messages can quote file paths and parser output, so never treat them as HTML
+        container.querySelector('p').textContent = message;
     }
 }
 
@@ -633,1693 +2819,3 @@ document.addEventListener('DOMContentLoaded', () => {
     new GenealogyTree();
 });
 
-
-class GenealogyData {
-    static data = {
-        "name": "Tani",
-        "children": [
-            {
-                "name": "Nisi",
-                "children": [
-                    {
-                        "name": "Sidum",
-                        "children": [
-                            {
-                                "name": "Dumde",
-                                "children": [
-                                    {
-                                        "name": "De",
-                                        "children": [
-                                            {
-                                                "name": "Eyu",
-                                                "children": [
-                                                    {
-                                                        "name": "Yubo",
-                                                        "children": [
-                                                            {
-                                                                "name": "Boji",
-                                                                "children": [
-                                                                    {
-                                                                        "name": "Jini"
-                                                                    }
-                                                                ]
-                                                            },
-                                                            {
-                                                                "name": "Bore",
-                                                                "children": [
-                                                                    {
-                                                                        "name": "Reyu",
-                                                                        "children": [
-                                                                            {
-                                                                                "name": "Yumen",
-                                                                                "children": [
-                                                                                    {
-                                                                                        "name": "Menpe",
-                                                                                        "children": [
-                                                                                            {
-                                                                                                "name": "Peke",
-                                                                                                "children": [
-                                                                                                    {
-                                                                                                        "name": "Ketu",
-                                                                                                        "children": [
-                                                                                                            {
-                                                                                                                "name": "Tudo",
-                                                                                                                "children": [
-                                                                                                                    {
-                                                                                                                        "name": "Doyom",
-                                                                                                                        "children": [
-                                                                                                                            {
-                                                                                                                                "name": "Yomba",
-                                                                                                                                "children": [{
-                                                                                                                                    "name": "Bajar",
-                                                                                                                                    "children": [
-                                                                                                                                        {
-                                                                                                                                            "name": "Jargo",
-                                                                                                                                            "children": [
-                                                                                                                                                {
-                                                                                                                                                    "name": "Gola",
-                                                                                                                                                    "children": [
-                                                                                                                                                        {
-                                                                                                                                                            "name": "Lani",
-                                                                                                                                                            "children": [
-                                                                                                                                                                {
-                                                                                                                                                                    "name": "Nido",
-                                                                                                                                                                    "children": [
-                                                                                                                                                                        {
-                                                                                                                                                                            "name": "Dokar",
-                                                                                                                                                                            "children": [
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Karji",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Jini",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Niyu",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yujen",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jento",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Tommin",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        },
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Tommsi",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        },
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Tomkin",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        },
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Tombin",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jenkar",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yure",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Retu",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Tumo",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yuge",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Gemir",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yuten",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yui",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yunga",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yupe",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Nibi",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bijar",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jarni",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jarko",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Kokar",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bimar",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Marli",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bigom",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Gomdam",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Gomjum",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Biluk",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Jiyi",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Yimik",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Mikjum",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumyi",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumyir",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Mikbom",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Bommi",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Bompu",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Yicha",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Chaluk",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Lukar",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Lukter",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Luksak",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Chade",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Demo",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Deken",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Jigi",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Gimen",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Menba",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Banga",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Baki",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Mentu",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Menpe",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Pekar",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Mennu",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Meni",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Mendem",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                },
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Kargu",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Gukup",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kupmar",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Marpak",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Pakni",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Nison",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Paknga",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Ngaki",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Paktu",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Tuni",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Marluk",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Lukbi",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Bigam",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Lukpu",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Margu",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Gutum",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Gumen",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Marpa",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Person",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Pamir",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Panya",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Nyarun",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Marjum",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumbo",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Boson",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Marnia",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Niamij",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Niare",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Niater",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Marpi",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kupji",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jige",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Gebom",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Geyom",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Gejom",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Gemin",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jila",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Gujen",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Jenpe",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Pebom",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Bomkar",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Pedul",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Dulken",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Dulsom",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Dulsen",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Penga",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Guchi",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Chikar",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Kargu",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Karken",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Chigo",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Goto",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Gopok",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Pokno",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Golen",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Gopu",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Gona",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                }
-                                                                                                                                                                            ]
-                                                                                                                                                                        },
-                                                                                                                                                                        {
-                                                                                                                                                                            "name": "Dori",
-                                                                                                                                                                            "children": []
-                                                                                                                                                                        },
-                                                                                                                                                                        {
-                                                                                                                                                                            "name": "Doni",
-                                                                                                                                                                            "children": [
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Nibin",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Binto",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Tori",
-                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Toba",
-                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                }
-                                                                                                                                                                            ]
-                                                                                                                                                                        }
-                                                                                                                                                                    ]
-                                                                                                                                                                }
-                                                                                                                                                            ]
-                                                                                                                                                        },
-                                                                                                                                                        {
-                                                                                                                                                            "name": "Lamar",
-                                                                                                                                                            "children": [
-                                                                                                                                                                {
-                                                                                                                                                                    "name": "Marjum",
-                                                                                                                                                                    "children": [
-                                                                                                                                                                        {
-                                                                                                                                                                            "name": "Jumngu",
-                                                                                                                                                                            "children": [
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Ngutum",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Tumki",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kiji",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jitum",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Tumi",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Imi",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        },
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Iku",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Tumbe",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Tumnga",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jijum",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumpe",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumbi",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumken",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kiyum",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yummar",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Maryi",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Marbom",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Marli",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Marjum",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Jumbo",
-                                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                                {
-                                                                                                                                                                                                                                    "name": "Boson",
-                                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                                }
-                                                                                                                                                                                                                            ]
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumi",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Icha",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Iba",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumjum",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumge",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumnya",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumpe",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Tumpak",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Pakjen",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jenkir",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Kirji",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Jijip",
-                                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                                {
-                                                                                                                                                                                                                                    "name": "Jippe",
-                                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                                },
-                                                                                                                                                                                                                                {
-                                                                                                                                                                                                                                    "name": "Jipbai",
-                                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                                }
-                                                                                                                                                                                                                            ]
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Kirba",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Bape",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        },
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Baka",
-                                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                                {
-                                                                                                                                                                                                                                    "name": "Kali",
-                                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                                }
-                                                                                                                                                                                                                            ]
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jenyu",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Yujum",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Jumli",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        },
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Jummo",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jennga",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Paktum",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Tumka",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Kanu",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Kato",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Tumluk",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Lukme",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Luknya",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Pakcho",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Choba",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Baka",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Kali",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Chopok",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Pokram",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Rambo",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        },
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Rampu",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Pokto",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Pokbi",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Pakyum",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumjar",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jarter",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Ternyi",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        },
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Terge",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jarbom",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jarka",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jarsak",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumka",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Kapak",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumjuk",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jukgam",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumnya",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Nyato",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumbi",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Bido",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Binyak",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Bge",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumi",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Tumme",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Meyom",
-                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Tumgo",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Gopi",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Pinga",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Ngabi",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Bijhon",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Pikar",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Kartum",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Karpik",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Godu",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Dubom",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Bombai",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Bomjon",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Duli",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Lisa",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Lijum",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                },
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Nguchi",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Chijuk",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Jukbi",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bichi",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Chibom",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Chimo",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Moge",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bikar",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Karno",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Karmesh",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Chipek",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Pekjum",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jumrik",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Rikson",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jumesh",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jumter",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Pekko",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Koyor",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Kobi",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Kono",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                }
-                                                                                                                                                                            ]
-                                                                                                                                                                        },
-                                                                                                                                                                        {
-                                                                                                                                                                            "name": "Jumkir",
-                                                                                                                                                                            "children": [
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Kiryi",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Yimi",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Mito",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Toba",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Tojen",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jento",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jenbi",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Tochi",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Chito",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Chingam",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Toyi",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Yirak",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Rakjum",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jumkir",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Rakyum",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumi",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Idar",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yumgam",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                }
-                                                                                                                                                                            ]
-                                                                                                                                                                        }
-                                                                                                                                                                    ]
-                                                                                                                                                                }
-                                                                                                                                                            ]
-                                                                                                                                                        },
-                                                                                                                                                        {
-                                                                                                                                                            "name": "Lakom",
-                                                                                                                                                            "children": [
-                                                                                                                                                                {
-                                                                                                                                                                    "name": "Komrak",
-                                                                                                                                                                    "children": [
-                                                                                                                                                                        {
-                                                                                                                                                                            "name": "Raklen",
-                                                                                                                                                                            "children": [
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Lenke",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Kekar",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Karjar",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jardik",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Dikpe",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jarken",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Kenyi",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Kenba",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jartum",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Tumken",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Tumrik",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Tumli",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Karbom",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bomnya",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Nyabi",
-                                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                                        {
-                                                                                                                                                                                                                            "name": "Bigam",
-                                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                                        }
-                                                                                                                                                                                                                    ]
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Nyato",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bomjum",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Jumkum",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                },
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Lenpen",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Pengo",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Goya",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yari",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Ribi",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                },
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Riba",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                }
-                                                                                                                                                                            ]
-                                                                                                                                                                        }
-                                                                                                                                                                    ]
-                                                                                                                                                                }
-                                                                                                                                                            ]
-                                                                                                                                                        }
-                                                                                                                                                    ]
-                                                                                                                                                }
-                                                                                                                                            ]
-                                                                                                                                        },
-                                                                                                                                        {
-                                                                                                                                            "name": "Jarba",
-                                                                                                                                            "children": [
-                                                                                                                                                {
-                                                                                                                                                    "name": "Bajar",
-                                                                                                                                                    "children": [
-                                                                                                                                                        {
-                                                                                                                                                            "name": "Jarba",
-                                                                                                                                                            "children": [
-                                                                                                                                                                {
-                                                                                                                                                                    "name": "Baki",
-                                                                                                                                                                    "children": [
-                                                                                                                                                                        {
-                                                                                                                                                                            "name": "Kika",
-                                                                                                                                                                            "children": [
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Kai",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Ijum",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Jumchi",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Chili",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Chikul",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Jummar",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Marjum",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Marge",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                }
-                                                                                                                                                                            ]
-                                                                                                                                                                        },
-                                                                                                                                                                        {
-                                                                                                                                                                            "name": "Kirak",
-                                                                                                                                                                            "children": [
-                                                                                                                                                                                {
-                                                                                                                                                                                    "name": "Rakrik",
-                                                                                                                                                                                    "children": [
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Rikbi",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Bigo",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Goto",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Tomar",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Bijir",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jirdam",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Damson",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Jirbom",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Bigu",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Gubin",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Binya",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Nyatu",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Rikma",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Marik",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Rikmi",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Rikjom",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Mayom",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Yombom",
-                                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                                {
-                                                                                                                                                                                                                    "name": "Bomnu",
-                                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                                }
-                                                                                                                                                                                                            ]
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        },
-                                                                                                                                                                                        {
-                                                                                                                                                                                            "name": "Rikken",
-                                                                                                                                                                                            "children": [
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kenli",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Linn",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Lio",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kenba",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bapu",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Bamin",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kenrik",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Rikluk",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        },
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Riknu",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kenpe",
-                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Kenter",
-                                                                                                                                                                                                    "children": []
-                                                                                                                                                                                                },
-                                                                                                                                                                                                {
-                                                                                                                                                                                                    "name": "Keni",
-                                                                                                                                                                                                    "children": [
-                                                                                                                                                                                                        {
-                                                                                                                                                                                                            "name": "Ige",
-                                                                                                                                                                                                            "children": []
-                                                                                                                                                                                                        }
-                                                                                                                                                                                                    ]
-                                                                                                                                                                                                }
-                                                                                                                                                                                            ]
-                                                                                                                                                                                        }
-                                                                                                                                                                                    ]
-                                                                                                                                                                                }
-                                                                                                                                                                            ]
-                                                                                                                                                                        }
-                                                                                                                                                                    ]
-                                                                                                                                                                }
-                                                                                                                                                            ]
-                                                                                                                                                        }
-                                                                                                                                                    ]
-                                                                                                                                                }
-                                                                                                                                            ]
-                                                                                                                                        }
-                                                                                                                                    ]
-                                                                                                                                }
-                                                                                                                                ]
-                                                                                                                            }
-                                                                                                                        ]
-                                                                                                                    }
-                                                                                                                ]
-                                                                                                            }
-                                                                                                        ]
-                                                                                                    }
-                                                                                                ]
-                                                                                            }
-                                                                                        ]
-                                                                                    },
-                                                                                    {
-                                                                                        "name": "Menba",
-                                                                                        "children": [
-                                                                                            {
-                                                                                                "name": "Badak",
-                                                                                                "children": [
-                                                                                                    {
-                                                                                                        "name": "Dakram",
-                                                                                                        "children": [
-                                                                                                            {
-                                                                                                                "name": "Ramka",
-                                                                                                                "children": [
-                                                                                                                    {
-                                                                                                                        "name": "Kali"
-                                                                                                                    }
-                                                                                                                ]
-                                                                                                            }
-                                                                                                        ]
-                                                                                                    }
-                                                                                                ]
-                                                                                            }
-                                                                                        ]
-                                                                                    },
-                                                                                    {
-                                                                                        "name": "Menbom"
-                                                                                    },
-                                                                                    {
-                                                                                        "name": "Menbi",
-                                                                                        "children": [
-                                                                                            {
-                                                                                                "name": "Bini",
-                                                                                                "children": [
-                                                                                                    {
-                                                                                                        "name": "Nido",
-                                                                                                        "children": [
-                                                                                                            {
-                                                                                                                "name": "Dori",
-                                                                                                                "children": [
-                                                                                                                    {
-                                                                                                                        "name": "Riji"
-                                                                                                                    }
-                                                                                                                ]
-                                                                                                            }
-                                                                                                        ]
-                                                                                                    }
-                                                                                                ]
-                                                                                            }
-                                                                                        ]
-                                                                                    }
-                                                                                ]
-                                                                            }
-                                                                        ]
-                                                                    }
-                                                                ]
-                                                            },
-                                                            {
-                                                                "name": "Boa",
-                                                                "children": [
-                                                                    {
-                                                                        "name": "Ango",
-                                                                        "children": []
-                                                                    }
-                                                                ]
-                                                            },
-                                                            {
-                                                                "name": "Boi",
-                                                                "children": [
-                                                                    {
-                                                                        "name": "Ingo"
-                                                                    }
-                                                                ]
-                                                            }
-                                                        ]
-                                                    }
-                                                ]
-                                            }
-                                        ]
-                                    }
-                                ]
-                            }
-                        ]
-                    }
-                ]
-            }
-        ]
-    }
-}
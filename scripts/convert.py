@@ -84,12 +84,67 @@ def transform_names(node):
     return node
 
 
+def slugify(name: str) -> str:
+    """Lowercase a display name into an id-safe slug."""
+    slug = re.sub(r"[^a-z0-9]+", "-", name.strip().lower()).strip("-")
+    return slug or "person"
+
+
+def key_to_id(key: str) -> str:
+    """Id for a spreadsheet key: "dori" -> "dori", "dori2" -> "dori-2"."""
+    return slugify(NUM_SUFFIX_RE.sub(lambda m: f"-{m.group()}", key.strip()))
+
+
+def assign_ids(tree):
+    """Give every person a unique 'id' made from their spreadsheet key.
+
+    Runs before transform_names, while names are still the keys whose numbers
+    tell people of the same name apart, so an id only changes when that
+    person's own key does: adding or reordering rows leaves every other id
+    alone. A key that appears more than once (a loop cut by make_node, or a
+    child listed under two parents) keeps the plain id the first time and
+    gets "-2", "-3"... after that, avoiding every id taken by another key.
+    """
+    roots = tree if isinstance(tree, list) else [tree]
+
+    reserved = set()
+
+    def reserve(node):
+        reserved.add(key_to_id(node["name"]))
+        for child in node.get("children", []):
+            reserve(child)
+
+    for root in roots:
+        reserve(root)
+
+    used = set()
+
+    def assign(node):
+        base = key_to_id(node["name"])
+        pid, suffix = base, 2
+        while pid in used or (pid != base and pid in reserved):
+            pid = f"{base}-{suffix}"
+            suffix += 1
+        used.add(pid)
+        node_with_id = {"id": pid}
+        node_with_id.update(node)
+        node_with_id["children"] = [assign(ch) for ch in node.get("children", [])]
+        return node_with_id
+
+    ids = [assign(root) for root in roots]
+    return ids if isinstance(tree, list) else ids[0]
+
+
 def main():
     # read excel (no header)
     df = pd.read_excel("geneology.xlsx", header=None, dtype=str).fillna("")
     pcm = build_parent_child_map(df)
     tree = build_tree(pcm)
 
+    # ids come from the spreadsheet keys, so they are assigned before the
+    # name cleanup strips the numbers off duplicate names
+    tree = assign_ids(tree)
+
     # apply name cleanup AFTER building the JSON
     if isinstance(tree, list):
         tree = [transform_names(t) for t in tree]
@@ -0,0 +1,49 @@
+import json
+import os
+
+DATA_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), "..", "data")
+MANIFEST = "manifest.json"
+OUTPUT = "embedded-data.js"
+
+HEADER = """// Generated by scripts/embed_data.py from data/manifest.json - do not edit by hand.
+// Fallback copy of the genealogy files, used when they cannot be fetched
+// (for example when index.html is opened straight from disk over file://).
+"""
+
+
+def load_json(name):
+    with open(os.path.join(DATA_DIR, name), encoding="utf-8") as f:
+        return json.load(f)
+
+
+def entry_path(entry):
+    """Manifest entries are either a file name or {"path": ..., "attachTo": ...}."""
+    return entry if isinstance(entry, str) else entry["path"]
+
+
+def as_class_field(name, value):
+    """Render a JSON value as a static class field, indented to sit inside the class body."""
+    lines = json.dumps(value, indent=4, ensure_ascii=False).split("\n")
+    body = "\n".join([lines[0]] + ["    " + line for line in lines[1:]])
+    return f"    static {name} = {body}"
+
+
+def main():
+    manifest = load_json(MANIFEST)
+    files = {}
+    for entry in manifest.get("trees", []):
+        path = entry_path(entry)
+        files[path] = load_json(path)
+
+    with open(os.path.join(DATA_DIR, OUTPUT), "w", encoding="utf-8") as f:
+        f.write(HEADER)
+        f.write("class GenealogyData {\n")
+        f.write(as_class_field("manifest", manifest) + "\n\n")
+        f.write(as_class_field("files", files) + "\n")
+        f.write("}\n")
+
+    print(f"✅ Embedded {len(files)} file(s) into data/{OUTPUT}")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,75 @@
+// Checks the genealogy data before publishing:
+//
+//     node scripts/validate_data.js              every file in data/manifest.json
+//     node scripts/validate_data.js family.json  one or more files, e.g. fresh from convert.py
+//
+// Manifest entries with "attachTo" are grafted under that person first, as the
+// site does, so names are compared across files. Prints the report and exits
+// with status 1 when there are errors.
+
+const fs = require('fs');
+const path = require('path');
+const TreeValidator = require('../js/tree-validator.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function loadJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function findById(nodes, id) {
+    for (const node of nodes) {
+        if (node && node.id === id) {
+            return node;
+        }
+        const found = node && Array.isArray(node.children) ? findById(node.children, id) : null;
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+function loadManifestTrees() {
+    const manifest = loadJson(path.join(DATA_DIR, 'manifest.json'));
+    const entries = (manifest.trees || []).map(entry => (typeof entry === 'string' ? { path: entry } : entry));
+    const files = entries.map(entry => {
+        const content = loadJson(path.join(DATA_DIR, entry.path));
+        return { entry, roots: Array.isArray(content) ? content : [content] };
+    });
+
+    const roots = [];
+    files.filter(file => !file.entry.attachTo).forEach(file => roots.push(...file.roots));
+    files.filter(file => file.entry.attachTo).forEach(file => {
+        const parent = findById(roots, file.entry.attachTo);
+        if (!parent) {
+            console.error(`data/manifest.json: no person with id "${file.entry.attachTo}" to attach ${file.entry.path} to`);
+            process.exit(1);
+        }
+        parent.children = [...(parent.children || []), ...file.roots];
+    });
+    return roots;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const roots = args.length > 0
+        ? args.flatMap(file => {
+            const content = loadJson(file);
+            return Array.isArray(content) ? content : [content];
+        })
+        : loadManifestTrees();
+
+    const result = new TreeValidator().validate(roots);
+    console.log(TreeValidator.format(result));
+    if (result.issues.some(issue => issue.severity === 'error')) {
+        process.exit(1);
+    }
+}
+
+main();